@@ -0,0 +1,167 @@
+/**
+ * Authentication Module
+ *
+ * Restricts endpoints to roles. Every role includes the rights of the roles before it:
+ * - public: everybody, no credentials needed
+ * - oracle: oracles and contract test runs (e.g. the test oracle /delayOracleTesting,
+ *   the state changes and settlement of policies)
+ * - admin: operators (e.g. the scenarios of the test oracle)
+ *
+ * Clients are configured in API_KEYS as comma-separated "id:role:secret" entries and
+ * authenticate in one of two ways:
+ * - API key: the secret in the header X-Api-Key
+ * - HMAC: the headers X-Key-Id (id of the client), X-Timestamp (unix time in seconds)
+ *   and X-Signature "sha256=" + hex HMAC-SHA256 of
+ *     timestamp + "\n" + method + "\n" + path with query + "\n" + body
+ *   with the secret, so the secret is never sent. Signatures older than
+ *   MAX_SIGNATURE_AGE are rejected, so captured requests can't be replayed later.
+ */
+
+const crypto = require("crypto");
+const { UnauthorizedError, ForbiddenError } = require("./errors");
+require("dotenv").config();
+
+// roles in ascending order of their rights
+const ROLES = ["public", "oracle", "admin"];
+
+// maximum difference between X-Timestamp and the time of the server in seconds
+const MAX_SIGNATURE_AGE = 5 * 60;
+
+const clients = load(process.env.API_KEYS || "");
+
+/**
+ * MIDDLEWARE
+ */
+
+/**
+ * Creates a middleware that lets only requests with the given role (or a higher one) pass,
+ * requests without credentials get 401, clients with a lower role 403
+ * The role of the request is stored in req.auth = { client, role }.
+ * @param {string} role - required role (see ROLES)
+ * @returns {Function} express middleware
+ */
+function requireRole(role) {
+  if (!ROLES.includes(role)) throw new Error("unknown role " + role);
+
+  return (req, res, next) => {
+    try {
+      req.auth = authenticate(req);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (req.auth.client === null) {
+      return next(new UnauthorizedError("credentials required, send X-Api-Key or a signature"));
+    }
+    if (ROLES.indexOf(req.auth.role) < ROLES.indexOf(role)) {
+      return next(new ForbiddenError("role " + role + " required"));
+    }
+    next();
+  };
+}
+
+/**
+ * Keeps the raw body of a request, the HMAC signature is calculated over it
+ * (used as verify option of express.json())
+ */
+function keepRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * @param {Object} req - request
+ * @returns {Object} { client, role } - client is null for public requests
+ * @throws {UnauthorizedError} if credentials are sent but invalid
+ */
+function authenticate(req) {
+  const apiKey = req.get("X-Api-Key");
+  if (apiKey) {
+    const client = clients.find((candidate) => safeEqual(candidate.secret, apiKey));
+    if (!client) throw new UnauthorizedError("invalid API key");
+    return { client: client.id, role: client.role };
+  }
+
+  const keyId = req.get("X-Key-Id");
+  if (keyId) {
+    const client = clients.find((candidate) => candidate.id === keyId);
+    if (!client) throw new UnauthorizedError("unknown key id");
+    verifySignature(req, client.secret);
+    return { client: client.id, role: client.role };
+  }
+
+  return { client: null, role: "public" };
+}
+
+/**
+ * @param {Object} req - request with the headers X-Timestamp and X-Signature
+ * @param {string} secret - secret of the client
+ * @throws {UnauthorizedError} if the signature is missing, wrong or too old
+ */
+function verifySignature(req, secret) {
+  const timestamp = req.get("X-Timestamp");
+  const signature = req.get("X-Signature");
+  if (!timestamp || !signature) throw new UnauthorizedError("X-Timestamp and X-Signature required");
+
+  if (!/^[0-9]+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE) {
+    throw new UnauthorizedError("signature expired, X-Timestamp has to be the current unix time");
+  }
+
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected = "sha256=" + crypto
+    .createHmac("sha256", secret)
+    .update(timestamp + "\n" + req.method + "\n" + req.originalUrl + "\n" + body)
+    .digest("hex");
+
+  if (!safeEqual(expected, signature)) throw new UnauthorizedError("invalid signature");
+}
+
+/**
+ * Compares two strings in constant time, so the secret can't be guessed from the response time
+ * @returns {boolean} true if both strings are equal
+ */
+function safeEqual(a, b) {
+  const first = Buffer.from(String(a));
+  const second = Buffer.from(String(b));
+  return first.length === second.length && crypto.timingSafeEqual(first, second);
+}
+
+/**
+ * @param {string} config - comma-separated "id:role:secret" entries
+ * @returns {Object[]} clients { id, role, secret }
+ * @throws {Error} if an entry is incomplete, has an unknown role or an id is used twice
+ */
+function load(config) {
+  const clients = config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "")
+    .map((entry) => {
+      const [id, role, ...secret] = entry.split(":");
+      if (!id || !role || secret.length === 0 || secret.join(":") === "") {
+        throw new Error('API_KEYS entries have to be "id:role:secret", got "' + id + ':..."');
+      }
+      if (role === "public" || !ROLES.includes(role)) {
+        throw new Error("unknown role " + role + " of API key " + id + ", available: oracle, admin");
+      }
+      return { id: id, role: role, secret: secret.join(":") };
+    });
+
+  clients.forEach((client, i) => {
+    if (clients.findIndex((other) => other.id === client.id) !== i) throw new Error("API key id " + client.id + " is used twice");
+  });
+
+  return clients;
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  ROLES,
+  requireRole,
+  keepRawBody,
+};
@@ -0,0 +1,100 @@
+/**
+ * Disk Cache Backend
+ *
+ * Keeps the entries in memory and writes them to a JSON file (CACHE_FILE,
+ * default: data/cache.json), so the cache survives a restart. The file is
+ * written whenever an entry is added, i.e. once per prediction request.
+ * The least recently used entries are dropped if there are more than max.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const log = require('../logger')
+require('dotenv').config()
+
+const CACHE_FILE = process.env.CACHE_FILE || path.join(__dirname, '..', 'data', 'cache.json')
+
+
+/***
+ * @param options { max } - maximum amount of entries
+ * @returns backend { name, get, set, getSize }
+ */
+function createBackend({ max }) {
+  // key -> { value, expires }, in the order of their last use
+  const entries = load()
+
+  function get(key) {
+    const entry = entries.get(key)
+    if (!entry) return undefined
+
+    entries.delete(key)
+    if (entry.expires <= Date.now()) return undefined
+
+    entries.set(key, entry) // most recently used
+    return entry.value
+  }
+
+  function set(key, value, ttl) {
+    entries.delete(key)
+    entries.set(key, { value: value, expires: Date.now() + ttl })
+
+    // drop the least recently used entries
+    for (const oldest of entries.keys()) {
+      if (entries.size <= max) break
+      entries.delete(oldest)
+    }
+    save()
+  }
+
+  /***
+   * Writes the entries that are not expired
+   * The file is written to a temporary path first and renamed afterwards,
+   * so a crash while writing never leaves a truncated cache behind.
+   */
+  function save() {
+    const now = Date.now()
+    const valid = [...entries].filter(([, entry]) => entry.expires > now)
+
+    try {
+      fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true })
+      const tmp = CACHE_FILE + '.tmp'
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(valid)))
+      fs.renameSync(tmp, CACHE_FILE)
+    } catch (error) {
+      log.error('could not write cache file', { file: CACHE_FILE, error: error })
+    }
+  }
+
+  return {
+    name: 'disk',
+    get,
+    set,
+    getSize: () => entries.size
+  }
+}
+
+/***
+ * @returns entries of the cache file that are not expired, an empty cache if the file is missing or damaged
+ */
+function load() {
+  const entries = new Map()
+  if (!fs.existsSync(CACHE_FILE)) return entries
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'))
+    const now = Date.now()
+    for (const key in stored) {
+      if (stored[key].expires > now) entries.set(key, stored[key])
+    }
+    log.info('loaded ' + entries.size + ' cache entries')
+  } catch (error) {
+    // the cache can always be rebuilt, so a damaged file is not fatal
+    log.error('could not read cache file, starting empty', { file: CACHE_FILE, error: error })
+  }
+  return entries
+}
+
+
+module.exports = {
+  createBackend
+}
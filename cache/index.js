@@ -0,0 +1,135 @@
+/**
+ * Cache Module
+ *
+ * Cache of the delay probabilities, keyed by the canonical journey hash (see journey.js).
+ * - the entries are kept by a backend, configured with CACHE_BACKEND:
+ *   disk (default, survives a restart) or memory
+ *   interface: createBackend({ max }) -> { name, get(key), set(key, value, ttl), getSize() }
+ * - concurrent requests for the same journey share one pending request
+ * - the time-to-live depends on the time until the departure, because predictions
+ *   for journeys in the near future change faster
+ * - hits, misses and shared requests are counted, so the hit rate can be monitored
+ */
+
+const { hashJourney, retrieveDepartureDate } = require('../journey')
+const log = require('../logger')
+const metrics = require('../metrics')
+require('dotenv').config()
+
+// available backends
+const BACKENDS = {
+  memory: () => require('./memory'),
+  disk: () => require('./disk')
+}
+
+// maximum amount of entries
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500
+
+// time-to-live by the time until the departure (first matching rule)
+const HOUR = 60 * 60 * 1000
+const TTL_RULES = [
+  { departureWithin: 6 * HOUR, ttl: 5 * 60 * 1000 }, // 5 minutes
+  { departureWithin: 24 * HOUR, ttl: 15 * 60 * 1000 }, // 15 minutes
+  { departureWithin: 7 * 24 * HOUR, ttl: HOUR }, // 1 hour
+  { departureWithin: Infinity, ttl: 6 * HOUR } // 6 hours
+]
+
+const backend = select(process.env.CACHE_BACKEND || 'disk')
+
+// pending requests by key
+const pending = new Map()
+
+let hits = 0
+let misses = 0
+let coalesced = 0
+
+log.info('using cache backend "' + backend.name + '"')
+
+
+/***
+ * Returns the cached value of a journey or loads it
+ * Concurrent calls for the same journey wait for the same load, failed loads are not cached.
+ * @param journey journey with all its legs
+ * @param load async () => value, called on a miss
+ * @returns cached or loaded value
+ * @throws the error of load
+ */
+async function getOrLoad(journey, load) {
+  const key = hashJourney(journey)
+
+  const value = backend.get(key)
+  if (value !== undefined) {
+    hits++
+    metrics.recordCache('hit')
+    log.info('found cache entry', { journeyHash: key })
+    return value
+  }
+
+  if (pending.has(key)) {
+    coalesced++
+    metrics.recordCache('coalesced')
+    log.info('waiting for pending request of the same journey', { journeyHash: key })
+    return pending.get(key)
+  }
+
+  misses++
+  metrics.recordCache('miss')
+  const request = (async () => {
+    try {
+      const loaded = await load()
+      backend.set(key, loaded, getTtl(journey))
+      log.info('added cache entry', { journeyHash: key })
+      return loaded
+    } finally {
+      pending.delete(key)
+    }
+  })()
+  pending.set(key, request)
+  return request
+}
+
+/***
+ * @param journey journey with all its legs
+ * @returns time-to-live of the entry of the journey in ms
+ */
+function getTtl(journey) {
+  const untilDeparture = retrieveDepartureDate(journey).getTime() - Date.now()
+  return TTL_RULES.find(rule => untilDeparture < rule.departureWithin).ttl
+}
+
+/***
+ * @returns { backend, size, max, hits, misses, coalesced, pending, hitRate } - hitRate in percent (null without requests),
+ * coalesced counts the requests that waited for a pending request of the same journey
+ */
+function getStats() {
+  const requests = hits + misses + coalesced
+  return {
+    backend: backend.name,
+    size: backend.getSize(),
+    max: MAX_ENTRIES,
+    hits: hits,
+    misses: misses,
+    coalesced: coalesced,
+    pending: pending.size,
+    hitRate: requests === 0 ? null : Math.round(hits / requests * 10000) / 100
+  }
+}
+
+
+/***
+ * @param name configured backend
+ * @returns the backend
+ * @throws {Error} if the backend is unknown
+ */
+function select(name) {
+  if (!(name in BACKENDS)) {
+    throw new Error('unknown cache backend "' + name + '", available: ' + Object.keys(BACKENDS).join(', '))
+  }
+  return BACKENDS[name]().createBackend({ max: MAX_ENTRIES })
+}
+
+
+module.exports = {
+  getOrLoad,
+  getStats
+}
@@ -0,0 +1,31 @@
+/**
+ * Memory Cache Backend
+ *
+ * Keeps the entries in an in-process LRU cache. Entries are lost on restart.
+ */
+
+const LRU = require('lru-cache')
+
+
+/***
+ * @param options { max } - maximum amount of entries
+ * @returns backend { name, get, set, getSize }
+ */
+function createBackend({ max }) {
+  const cache = new LRU({
+    max: max,
+    ttlResolution: 1000 // check every 1s for stale entries (that died due to ttl)
+  })
+
+  return {
+    name: 'memory',
+    get: key => cache.get(key),
+    set: (key, value, ttl) => { cache.set(key, value, { ttl: ttl }) },
+    getSize: () => cache.size
+  }
+}
+
+
+module.exports = {
+  createBackend
+}
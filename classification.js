@@ -0,0 +1,130 @@
+/**
+ * Service Classification Module
+ *
+ * Parses the train string of a leg (e.g. "ICE 1000", "S1", "Bus SEV") into its
+ * category and number and checks the category against the rules of the
+ * services configuration (services.json):
+ * - allow: categories that are insured, an empty list allows every category that is not denied
+ * - deny: categories that are never insured, with the reason reported to the client
+ *
+ * Rail replacement services are recognized by their keyword anywhere in the
+ * string (e.g. "Bus SEV", "RE 5 (SEV)"), all other categories by the leading
+ * letters. Strings that match no category are classified as UNKNOWN, which can
+ * be allowed or denied like any other category.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validateServicesConfig } = require("./validator");
+const log = require("./logger");
+require("dotenv").config();
+
+const SERVICES_FILE = process.env.SERVICES_FILE || path.join(__dirname, "services.json");
+
+// keywords of rail replacement services, matched anywhere in the train string
+const RAIL_REPLACEMENT = /(^|[^A-Z])(SEV|SCHIENENERSATZVERKEHR|ERSATZVERKEHR)([^A-Z]|$)/;
+
+// categories by the leading letters of the train string
+const CATEGORIES = {
+  ICE: "ICE",
+  IC: "IC",
+  EC: "EC",
+  ECE: "EC",
+  EN: "EN",
+  NJ: "NJ",
+  RJ: "RJ",
+  RJX: "RJ",
+  TGV: "TGV",
+  FLX: "FLX",
+  IRE: "IRE",
+  RE: "RE",
+  RB: "RB",
+  S: "S",
+  U: "U",
+  STR: "TRAM",
+  TRAM: "TRAM",
+  BUS: "BUS",
+  F: "FERRY",
+  FAEHRE: "FERRY",
+  "FÄHRE": "FERRY",
+  FERRY: "FERRY",
+};
+
+// category of strings that match no category
+const UNKNOWN = "UNKNOWN";
+
+const rules = load();
+
+/**
+ * CLASSIFICATION
+ */
+
+/**
+ * Parses a train string
+ * @param {string} train - train of a leg, e.g. "ICE 1000"
+ * @returns {Object} { category, number } - number is null if the string contains none
+ */
+function classify(train) {
+  const name = String(train).trim().replace(/\s+/g, " ").toUpperCase();
+  const match = name.match(/^([A-ZÄÖÜ]+)\s?([0-9]+[A-Z]?)?/);
+  const number = match && match[2] ? match[2] : null;
+
+  if (RAIL_REPLACEMENT.test(name)) return { category: "SEV", number: number };
+  if (match && match[1] in CATEGORIES) return { category: CATEGORIES[match[1]], number: number };
+  return { category: UNKNOWN, number: number };
+}
+
+/**
+ * Checks all legs of a journey against the rules
+ * @param {Object} journey - journey with all its legs
+ * @returns {Object|null} the first rejected leg { leg, train, category, number, reason }, null if all legs are insured
+ */
+function checkJourney(journey) {
+  for (const leg in journey) {
+    const train = journey[leg].train;
+    const { category, number } = classify(train);
+    const reason = checkCategory(category);
+    if (reason) return { leg: leg, train: train, category: category, number: number, reason: reason };
+  }
+  return null;
+}
+
+/**
+ * @param {string} category - category of a service
+ * @returns {string|null} reason why the category is not insured, null if it is insured
+ */
+function checkCategory(category) {
+  if (category in rules.deny) return rules.deny[category];
+  if (rules.allow.length > 0 && !rules.allow.includes(category)) return "category " + category + " is not insured";
+  return null;
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Loads the rules of the services configuration
+ * @returns {Object} { allow: [categories], deny: { category: reason } }
+ * @throws {Error} if the configuration is invalid
+ */
+function load() {
+  const { error, value } = validateServicesConfig(JSON.parse(fs.readFileSync(SERVICES_FILE, "utf8")));
+  if (error) throw new Error("invalid services configuration: " + error.message);
+
+  const known = Object.values(CATEGORIES).concat(["SEV", UNKNOWN]);
+  value.allow.concat(Object.keys(value.deny)).forEach((category) => {
+    if (!known.includes(category)) log.warn("services configuration contains unknown category " + category);
+  });
+
+  return value;
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  classify,
+  checkJourney,
+  checkCategory,
+};
@@ -0,0 +1,186 @@
+/**
+ * Codec Module
+ *
+ * Conversion between the service and the contract:
+ * - journeys: the contract sends a journey as one string with 7 values per leg,
+ *   separated by ';' (train;start_stop;start_time;start_date;arrival_stop;arrival_time;arrival_date)
+ * - responses: results can be ABI-encoded, so an oracle can pass them to the contract unchanged
+ */
+
+const { ValidationError } = require('./errors')
+
+// order of the values of one leg in an encoded journey
+const LEG_FIELDS = ['train', 'start_stop', 'start_time', 'start_date', 'arrival_stop', 'arrival_time', 'arrival_date']
+
+// separator of the values in an encoded journey
+const SEPARATOR = ';'
+
+
+/**
+ * JOURNEYS
+ */
+
+/**
+ * decodes bytecode to a journey object
+ * @param _encoded bytecode
+ * @returns journey object that according to zugfinder API
+ */
+function decode(_encoded) {
+  if (typeof _encoded !== 'string')
+    return {}
+
+  // encoded looks like: IC 705;Leipzig HBF;...
+  const values = _encoded.split(SEPARATOR)
+
+  if ((values.length % LEG_FIELDS.length) != 0)
+    return {}
+
+  const amountLegs = values.length / LEG_FIELDS.length // one leg has 7 values
+
+  // journey object that can be sent to zugfinder
+  const journey = {}
+
+  // build legs
+  for (let i = 0; i < amountLegs; i++) {
+    const leg = {}
+    LEG_FIELDS.forEach((field, j) => {
+      leg[field] = values[i * LEG_FIELDS.length + j]
+    })
+    journey['leg_' + (i + 1)] = leg
+  }
+
+  return journey
+}
+
+/**
+ * encodes a journey object to bytecode, the counterpart of decode()
+ * @param _journey journey object with the legs leg_1 ... leg_N
+ * @returns journey as string in the format of the contract
+ * @throws {ValidationError} if a value is missing or contains the separator
+ */
+function encode(_journey) {
+  const amountLegs = Object.keys(_journey).length
+  const values = []
+
+  for (let i = 1; i <= amountLegs; i++) {
+    const leg = _journey['leg_' + i]
+    if (!leg) throw new ValidationError('missing leg_' + i)
+
+    LEG_FIELDS.forEach(field => {
+      const value = leg[field]
+      if (value === undefined || value === null) throw new ValidationError('missing ' + field + ' in leg_' + i)
+      if (String(value).includes(SEPARATOR)) throw new ValidationError(field + ' in leg_' + i + ' must not contain "' + SEPARATOR + '"')
+      values.push(String(value))
+    })
+  }
+
+  return values.join(SEPARATOR)
+}
+
+
+/**
+ * ABI
+ * Supports the static types used in responses: uint<N>, bool, address and bytes32.
+ */
+
+/**
+ * ABI-encodes values (like abi.encode in Solidity)
+ * @param types types of the values, e.g. ['uint8', 'uint256']
+ * @param values values to encode
+ * @returns encoded values as hex string with 0x prefix
+ * @throws {Error} if a type is not supported or a value does not fit its type
+ */
+function encodeAbi(types, values) {
+  if (types.length !== values.length) throw new Error('amount of types and values differs')
+
+  return '0x' + types.map((type, i) => encodeWord(type, values[i])).join('')
+}
+
+/**
+ * decodes ABI-encoded values, the counterpart of encodeAbi()
+ * @param types types of the values, e.g. ['uint8', 'uint256']
+ * @param data encoded values as hex string
+ * @returns decoded values (uint as BigInt, bool as boolean, address and bytes32 as hex string)
+ * @throws {Error} if the data does not match the types
+ */
+function decodeAbi(types, data) {
+  const hex = data.startsWith('0x') ? data.slice(2) : data
+  if (hex.length !== types.length * 64) throw new Error('data does not match types')
+
+  return types.map((type, i) => {
+    const word = hex.slice(i * 64, (i + 1) * 64)
+    if (type === 'bool') return BigInt('0x' + word) === 1n
+    if (type === 'address') return '0x' + word.slice(24)
+    if (type === 'bytes32') return '0x' + word
+    if (/^uint(\d+)$/.test(type)) return BigInt('0x' + word)
+    throw new Error('unsupported type ' + type)
+  })
+}
+
+/**
+ * ABI-encodes the result of an endpoint
+ * @param result result with a status and the value field
+ * @param field name of the value field, e.g. 'payout' or 'delay'
+ * @returns encoded (uint8 status, uint256 value) - if the value is an object with
+ * several values (e.g. all payouts) they are appended in their order
+ */
+function encodeResult(result, field) {
+  const value = result[field]
+  const values = (value !== null && typeof value === 'object') ? Object.values(value) : [value || 0]
+
+  return encodeAbi(['uint8'].concat(values.map(() => 'uint256')), [result.status].concat(values))
+}
+
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/***
+ * @param type static ABI type
+ * @param value value to encode
+ * @returns 32 byte word as hex string (without 0x)
+ */
+function encodeWord(type, value) {
+  if (type === 'bool') return toWord(value ? 1n : 0n)
+
+  if (type === 'address' || type === 'bytes32') {
+    const hex = String(value).replace(/^0x/, '').toLowerCase()
+    const length = type === 'address' ? 40 : 64
+    if (!new RegExp('^[0-9a-f]{' + length + '}$').test(hex)) throw new Error('invalid ' + type + ': ' + value)
+    return type === 'address' ? hex.padStart(64, '0') : hex
+  }
+
+  const match = /^uint(\d+)$/.exec(type)
+  if (match) {
+    const bits = Number(match[1])
+    if (typeof value === 'number' && !Number.isInteger(value)) throw new Error(type + ' must be an integer: ' + value)
+
+    const number = BigInt(value)
+    if (number < 0n || number >= (1n << BigInt(bits))) throw new Error('value out of range for ' + type + ': ' + value)
+    return toWord(number)
+  }
+
+  throw new Error('unsupported type ' + type)
+}
+
+/***
+ * @param number BigInt
+ * @returns number as 32 byte word (hex string without 0x)
+ */
+function toWord(number) {
+  return number.toString(16).padStart(64, '0')
+}
+
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  LEG_FIELDS,
+  decode,
+  encode,
+  encodeAbi,
+  decodeAbi,
+  encodeResult
+}
@@ -0,0 +1,141 @@
+/**
+ * Operator Commands Module
+ *
+ * Registers the operator commands of the Telegram bot:
+ * - /stats: responses by endpoint and status
+ * - /cache: size and hit rate of the probability cache
+ * - /notifications: sent, retried and dropped notifications by channel
+ * - /upstreams: circuit breaker state of the prediction service and zugfinder
+ * - /quote <encoded journey>: runs the /payouts pipeline for all types
+ * - /delay <encoded journey>: runs the /delay pipeline
+ *
+ * Commands are only accepted from the chats in OPERATOR_CHAT_IDS (see telegram.js).
+ */
+
+const telegram = require('./telegram')
+const stats = require('./stats')
+const cache = require('./cache')
+const notifier = require('./notifier')
+const upstream = require('./upstream')
+const status = require('./status')
+const { decode } = require('./codec')
+const { validateJourney } = require('./validator')
+const stations = require('./stations')
+const { requestQuote } = require('./quote')
+const { requestDelay } = require('./delay')
+
+
+telegram.command('help', async () => {
+  return 'Commands:\n' +
+    '/stats - responses by endpoint and status\n' +
+    '/cache - probability cache size and hit rate\n' +
+    '/notifications - notifications by channel\n' +
+    '/upstreams - circuit breaker state of the upstreams\n' +
+    '/quote <encoded journey> - calculate payouts\n' +
+    '/delay <encoded journey> - calculate delay'
+})
+
+telegram.command('stats', async () => {
+  const { since, counts } = stats.getStats()
+
+  const lines = Object.keys(counts).map(endpoint => {
+    const byStatus = Object.keys(counts[endpoint])
+      .map(code => statusName(code) + ': ' + counts[endpoint][code])
+      .join(', ')
+    return endpoint + ' - ' + byStatus
+  })
+
+  return 'Responses since ' + since + '\n' + (lines.length ? lines.join('\n') : 'no requests yet')
+})
+
+telegram.command('cache', async () => {
+  const { backend, size, max, hits, misses, coalesced, hitRate } = cache.getStats()
+
+  return 'Cache (' + backend + '): ' + size + '/' + max + ' entries\n' +
+    'Hits: ' + hits + ', misses: ' + misses + ', shared requests: ' + coalesced + '\n' +
+    'Hit rate: ' + (hitRate === null ? '-' : hitRate + '%')
+})
+
+telegram.command('notifications', async () => {
+  const channels = notifier.getStats()
+
+  const lines = Object.keys(channels).map(name => {
+    const stats = channels[name]
+    if (!stats) return name + ' - nothing sent yet'
+    return name + ' - sent: ' + stats.sent + ', pending: ' + stats.pending +
+      ', retries: ' + stats.retries + ', dropped: ' + stats.dropped
+  })
+
+  return lines.length ? lines.join('\n') : 'no notification channels'
+})
+
+telegram.command('upstreams', async () => {
+  const upstreams = upstream.getStates()
+
+  const lines = Object.keys(upstreams).map(name => {
+    const state = upstreams[name]
+    return name + ' - ' + state.state + (state.retryAt && state.state === 'open' ? ' until ' + state.retryAt : '') +
+      ', calls: ' + state.calls + ', failed: ' + state.failed + ', timeouts: ' + state.timeouts +
+      ', retries: ' + state.retries + ', rejected: ' + state.rejected
+  })
+
+  return lines.length ? lines.join('\n') : 'no upstreams in use'
+})
+
+telegram.command('quote', async (args) => {
+  const journey = parseJourney(args)
+  const result = await requestQuote(journey, 'all', { source: 'operator' })
+
+  let reply = 'Status: ' + statusName(result.status)
+  if (result.status === status.STATUS_OK) {
+    reply += '\nPayouts: ' + Object.entries(result.payout).map(([type, payout]) => type + ' ' + payout).join(', ') +
+      '\nMatrix version: ' + result.matrixVersion +
+      '\nQuote: ' + result.quoteId
+  } else if (result.rejection) {
+    reply += '\nRejected: ' + result.rejection.leg + ' (' + result.rejection.train + ') ' + result.rejection.reason
+  }
+  return reply
+})
+
+telegram.command('delay', async (args) => {
+  const journey = parseJourney(args)
+  const result = await requestDelay(journey)
+
+  let reply = 'Status: ' + statusName(result.status) + '\nDelay: ' + result.delay + ' minutes'
+  if (result.cancellation) reply += '\nCancelled: ' + result.cancellation.legs.join(', ') + ' (' + result.cancellation.rule + ')'
+  result.missedConnections.forEach(connection => {
+    reply += '\nMissed connection at ' + connection.station + ' (' + connection.from + ' -> ' + connection.to + ')'
+  })
+  return reply
+})
+
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/***
+ * @param args encoded journey as sent by the contract
+ * @returns decoded journey with the official station names
+ * @throws {Error} if the journey is invalid
+ */
+function parseJourney(args) {
+  if (!args) throw new Error('missing encoded journey')
+
+  const journey = decode(args)
+  if (Object.keys(journey).length === 0) throw new Error('journey needs 7 values per leg')
+
+  const errors = validateJourney(journey)
+  if (errors.length != 0) throw new Error(errors.map(error => error.message).join(', '))
+
+  return stations.normalizeJourney(journey)
+}
+
+/***
+ * @param code status code
+ * @returns name of the status code, e.g. "OK (0)"
+ */
+function statusName(code) {
+  const name = Object.keys(status).find(key => status[key] == code)
+  return (name ? name.replace('STATUS_', '') : 'UNKNOWN') + ' (' + code + ')'
+}
@@ -0,0 +1,286 @@
+/**
+ * Delay Module
+ *
+ * Requests the real journey from zugfinder and calculates the delay
+ * of the final arrival. Used by /delay and the settlement worker.
+ *
+ * Legs that zugfinder reports as cancelled ({ cancelled: true }) make the whole journey
+ * cancelled (STATUS_CANCELLED), its delay follows CANCELLATION_RULE:
+ * - max-delay (default): the delay is CANCELLATION_DELAY_MINUTES
+ * - next-arrival: the delay is measured at the final arrival if the journey still
+ *   arrives (an earlier leg is cancelled), else it is CANCELLATION_DELAY_MINUTES
+ */
+
+const providers = require('./providers')
+const { retrieveArrivalDate, retrieveLegArrivalDay, toDate, toRealDate, calculateDelayMinutes } = require('./journey')
+const { STATUS_OK, STATUS_CANCELLED } = require('./status')
+const { MissingDataError, TrainDataError } = require('./errors')
+const log = require('./logger')
+require('dotenv').config()
+
+const CONST_DELAY = 60 // this amount of minutes is considered as a delay
+
+// settlement of cancelled journeys
+const CANCELLATION_RULES = ['max-delay', 'next-arrival']
+const CANCELLATION_RULE = process.env.CANCELLATION_RULE || 'max-delay'
+const CANCELLATION_DELAY = Number(process.env.CANCELLATION_DELAY_MINUTES) || 24 * 60 // delay of a cancellation in minutes
+
+if (!CANCELLATION_RULES.includes(CANCELLATION_RULE)) {
+  throw new Error('unknown CANCELLATION_RULE "' + CANCELLATION_RULE + '", available: ' + CANCELLATION_RULES.join(', '))
+}
+
+
+/***
+ * Request the real journey from zugfinder and calculate its delay
+ * @param journey journey with all its legs
+ * @param options { provider } - journey provider instead of the configured one (see providers/index.js)
+ * @returns {object} { status, delay, legs, missedConnections, cancellation }
+ * - status: STATUS_OK, or STATUS_CANCELLED if a leg is cancelled
+ * - delay: delay of the final arrival in minutes (0 if the train was early), see CANCELLATION_RULE for cancelled journeys
+ * - legs: departure and arrival delay of every leg
+ * - missedConnections: transfers where a leg arrived after the next leg's scheduled departure
+ * - cancellation: only for cancelled journeys { rule, legs, partial } - the cancelled legs and
+ *   whether other legs still run
+ * @throws {MissingDataError} if zugfinder has no real arrival yet (STATUS_MISSING_DELAY), details are legs and missedConnections
+ * @throws {TrainDataError} if zugfinder fails or answers with something else than a journey
+ */
+async function requestDelay(journey, options = {}) {
+  // request real journey from zugfinder (or the configured provider)
+  const response = await providers.getRealJourney(journey, options)
+  checkResponse(journey, response)
+
+  log.info('received response from zugfinder; calculating delay..')
+
+  const legs = calculateLegDelays(journey, response)
+  const missedConnections = detectMissedConnections(journey, response)
+
+  missedConnections.forEach(connection => {
+    log.info('missed connection at ' + connection.station, { from: connection.from, to: connection.to })
+  })
+
+  const cancelledLegs = Object.keys(journey).filter(key => isCancelled(response[key]))
+  if (cancelledLegs.length > 0) {
+    return applyCancellationRule(journey, response, { legs: legs, missedConnections: missedConnections, cancelledLegs: cancelledLegs })
+  }
+
+  // zugfinder has no data for the final arrival yet
+  if (!hasRealArrival(journey, response)) {
+    log.info('zugfinder has no real arrival for this journey yet')
+    throw new MissingDataError('no real arrival of the journey yet', {
+      details: { legs: legs, missedConnections: missedConnections }
+    })
+  }
+
+  const delay = calculateArrivalDelay(journey, response)
+
+  log.info('calculated delay in minutes: ' + delay, { delay: delay })
+  return { status: STATUS_OK, delay: delay, legs: legs, missedConnections: missedConnections }
+}
+
+/***
+ * Calculate the delay of a cancelled journey according to CANCELLATION_RULE
+ * @param journey requested journey
+ * @param response journey returned by zugfinder
+ * @param result { legs, missedConnections, cancelledLegs } - cancelledLegs are the keys of the cancelled legs
+ * @returns {object} { status: STATUS_CANCELLED, delay, legs, missedConnections, cancellation: { rule, legs, partial } }
+ * @throws {MissingDataError} if the delay is measured at the final arrival and it is still missing
+ */
+function applyCancellationRule(journey, response, { legs, missedConnections, cancelledLegs }) {
+  const finalLeg = 'leg_' + Object.keys(journey).length
+  const cancellation = {
+    rule: CANCELLATION_RULE,
+    legs: cancelledLegs,
+    partial: cancelledLegs.length < Object.keys(journey).length
+  }
+  log.info('journey is cancelled', cancellation)
+
+  let delay = CANCELLATION_DELAY
+
+  // the journey still arrives if only earlier legs are cancelled
+  if (CANCELLATION_RULE === 'next-arrival' && !cancelledLegs.includes(finalLeg)) {
+    if (!hasRealArrival(journey, response)) {
+      log.info('zugfinder has no real arrival for this journey yet')
+      throw new MissingDataError('no real arrival of the journey yet', {
+        details: { legs: legs, missedConnections: missedConnections, cancellation: cancellation }
+      })
+    }
+    delay = calculateArrivalDelay(journey, response)
+  }
+
+  log.info('calculated delay of the cancelled journey in minutes: ' + delay, { delay: delay, rule: CANCELLATION_RULE })
+  return { status: STATUS_CANCELLED, delay: delay, legs: legs, missedConnections: missedConnections, cancellation: cancellation }
+}
+
+/***
+ * Calculate the delay of the final arrival
+ * @param journey requested journey
+ * @param response journey returned by zugfinder, with the real arrival of the final leg
+ * @returns delay in minutes, 0 if the train was early
+ */
+function calculateArrivalDelay(journey, response) {
+  // save scheduled arrival date
+  const scheduledArrivalDate = retrieveArrivalDate(journey)
+
+  // save real arrival date (on the next day if the train arrived after midnight)
+  const realArrivalLeg = response['leg_' + Object.keys(journey).length]
+  const realArrivalDate = toRealDate(scheduledArrivalDate, realArrivalLeg.arrival_date, realArrivalLeg.arrival_time)
+
+  const delay = calculateDelayMinutes(scheduledArrivalDate, realArrivalDate)
+
+  // if train was early set delay to 0
+  return delay < 0 ? 0 : delay
+}
+
+/***
+ * Calculate the departure and arrival delay of every leg
+ * @param journey requested journey
+ * @param response journey returned by zugfinder
+ * @returns array with one entry per leg: { leg, train, departureDelay, arrivalDelay }
+ * (delays in minutes, null if zugfinder has no real time for the leg), cancelled legs have cancelled: true
+ */
+function calculateLegDelays(journey, response) {
+  return Object.keys(journey).map(key => {
+    const scheduled = journey[key]
+    const real = response[key] || {}
+
+    const leg = {
+      leg: key,
+      train: scheduled.train,
+      departureDelay: legDelay(scheduled.start_date, scheduled.start_time, real.start_date, real.start_time),
+      arrivalDelay: legDelay(retrieveLegArrivalDay(scheduled), scheduled.arrival_time, real.arrival_date, real.arrival_time)
+    }
+    if (isCancelled(real)) leg.cancelled = true
+
+    return leg
+  })
+}
+
+/***
+ * Detect missed connections
+ * A connection is missed if a leg really arrived after the scheduled departure of the next leg.
+ * @param journey requested journey
+ * @param response journey returned by zugfinder
+ * @returns array with one entry per missed connection:
+ * { from, to, station, scheduledDeparture, realArrival, lateByMinutes }
+ */
+function detectMissedConnections(journey, response) {
+  const missed = []
+  const amountLegs = Object.keys(journey).length
+
+  for (let i = 1; i < amountLegs; i++) {
+    const scheduledLeg = journey['leg_' + i]
+    const arrivalLeg = response['leg_' + i]
+    const nextLeg = journey['leg_' + (i + 1)]
+
+    if (!arrivalLeg || !arrivalLeg.arrival_date || !arrivalLeg.arrival_time) continue
+
+    const scheduledDeparture = toDate(nextLeg.start_date, nextLeg.start_time)
+    const scheduledArrival = toDate(retrieveLegArrivalDay(scheduledLeg), scheduledLeg.arrival_time)
+    const realArrival = toRealDate(scheduledArrival, arrivalLeg.arrival_date, arrivalLeg.arrival_time)
+    const late = calculateDelayMinutes(scheduledDeparture, realArrival)
+
+    if (late > 0) {
+      missed.push({
+        from: 'leg_' + i,
+        to: 'leg_' + (i + 1),
+        station: nextLeg.start_stop,
+        scheduledDeparture: nextLeg.start_date + ' ' + nextLeg.start_time,
+        realArrival: arrivalLeg.arrival_date + ' ' + arrivalLeg.arrival_time,
+        lateByMinutes: late
+      })
+    }
+  }
+
+  return missed
+}
+
+/***
+ * @returns delay in minutes between a scheduled and a real time, null if the real time is missing
+ */
+function legDelay(scheduledDate, scheduledTime, realDate, realTime) {
+  if (!realDate || !realTime) return null
+  const scheduled = toDate(scheduledDate, scheduledTime)
+  return calculateDelayMinutes(scheduled, toRealDate(scheduled, realDate, realTime))
+}
+
+/***
+ * @param delay delay in minutes
+ * @returns true if the delay is long enough for a payout
+ */
+function isDelayed(delay) {
+  return delay >= CONST_DELAY
+}
+
+/***
+ * @param leg leg returned by zugfinder
+ * @returns true if zugfinder reports the leg as cancelled
+ */
+function isCancelled(leg) {
+  return Boolean(leg) && leg.cancelled === true
+}
+
+/***
+ * Checks the shape of the zugfinder response before any leg is evaluated,
+ * including the cancellation flags, so they are only read from valid legs
+ * @param journey requested journey
+ * @param response journey returned by zugfinder
+ * @throws {TrainDataError} if the response or one of its legs is not an object,
+ * a time of a leg is no string or its cancelled flag is no boolean
+ */
+function checkResponse(journey, response) {
+  if (!isPlainObject(response)) {
+    throw new TrainDataError('train data request failed: zugfinder answered without a journey')
+  }
+
+  const invalid = Object.keys(journey).filter(key => response[key] != undefined && !isValidLeg(response[key]))
+  if (invalid.length > 0) {
+    throw new TrainDataError('train data request failed: zugfinder answered with invalid legs', { details: { legs: invalid } })
+  }
+}
+
+/***
+ * @param leg leg returned by zugfinder
+ * @returns true if the leg is an object with string times and a boolean cancelled flag (all optional)
+ */
+function isValidLeg(leg) {
+  if (!isPlainObject(leg)) return false
+  if (leg.cancelled != undefined && typeof leg.cancelled !== 'boolean') return false
+  return ['start_date', 'start_time', 'arrival_date', 'arrival_time']
+    .every(field => leg[field] == undefined || typeof leg[field] === 'string')
+}
+
+/***
+ * @returns true if the value is an object, but no array
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/***
+ * @param journey requested journey
+ * @param response journey returned by zugfinder
+ * @returns true if the response contains the real arrival of the final leg
+ */
+function hasRealArrival(journey, response) {
+  if (!response || typeof response !== 'object') return false
+
+  const amountLegs = Object.keys(journey).length
+  const arrivalLeg = response['leg_' + amountLegs]
+
+  return Object.keys(response).length === amountLegs &&
+    arrivalLeg != undefined &&
+    Boolean(arrivalLeg.arrival_date) &&
+    Boolean(arrivalLeg.arrival_time)
+}
+
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  CONST_DELAY,
+  requestDelay,
+  calculateLegDelays,
+  detectMissedConnections,
+  isDelayed
+}
@@ -0,0 +1,255 @@
+/**
+ * Errors Module
+ *
+ * Typed errors of the service. Every error has
+ * - code: stable identifier for clients, e.g. "VALIDATION_FAILED"
+ * - status: status code of the response body (see status.js)
+ * - httpStatus: HTTP status of the response
+ * - retryable: true if the same request may succeed later ("try again later"),
+ *   false if the request itself is wrong ("your input is wrong")
+ * - details: optional data about the error, e.g. the validation errors of a journey
+ *
+ * Endpoints throw these errors and the central error handler of server.js turns
+ * them into responses. Any other error is reported as INTERNAL_ERROR.
+ */
+
+const { STATUS_ERROR, STATUS_MISSING_DELAY } = require("./status");
+
+/**
+ * Base class of all errors of the service
+ */
+class ServiceError extends Error {
+  /**
+   * @param {string} message - description of the error
+   * @param {Object} [options]
+   * @param {*} [options.details] - data about the error, part of the response
+   * @param {Error} [options.cause] - original error
+   */
+  constructor(message, { details, cause } = {}) {
+    super(message, { cause: cause });
+    this.name = this.constructor.name;
+    this.details = details;
+  }
+
+  get code() {
+    return "INTERNAL_ERROR";
+  }
+
+  get status() {
+    return STATUS_ERROR;
+  }
+
+  get httpStatus() {
+    return 500;
+  }
+
+  get retryable() {
+    return false;
+  }
+
+  /**
+   * @returns {Object} body of the error response { status, code, message, retryable, details }
+   */
+  toJSON() {
+    const body = { status: this.status, code: this.code, message: this.message, retryable: this.retryable };
+    if (this.details !== undefined) body.details = this.details;
+    return body;
+  }
+}
+
+/**
+ * The request is invalid (e.g. a malformed journey or body), details lists the problems
+ */
+class ValidationError extends ServiceError {
+  get code() {
+    return "VALIDATION_FAILED";
+  }
+
+  get httpStatus() {
+    return 400;
+  }
+}
+
+/**
+ * The request has no valid credentials (API key or HMAC signature, see auth.js)
+ */
+class UnauthorizedError extends ServiceError {
+  get code() {
+    return "UNAUTHORIZED";
+  }
+
+  get httpStatus() {
+    return 401;
+  }
+}
+
+/**
+ * The credentials of the request don't have the role the endpoint requires
+ */
+class ForbiddenError extends ServiceError {
+  get code() {
+    return "FORBIDDEN";
+  }
+
+  get httpStatus() {
+    return 403;
+  }
+}
+
+/**
+ * The requested resource (e.g. a quote or policy) doesn't exist
+ */
+class NotFoundError extends ServiceError {
+  get code() {
+    return "NOT_FOUND";
+  }
+
+  get httpStatus() {
+    return 404;
+  }
+}
+
+/**
+ * The request conflicts with the state of a resource (e.g. binding an expired quote)
+ */
+class ConflictError extends ServiceError {
+  get code() {
+    return "CONFLICT";
+  }
+
+  get httpStatus() {
+    return 409;
+  }
+}
+
+/**
+ * The client sent too many requests (see the rate limit in server.js)
+ */
+class RateLimitError extends ServiceError {
+  get code() {
+    return "RATE_LIMITED";
+  }
+
+  get httpStatus() {
+    return 429;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The prediction service failed or is unreachable
+ */
+class PredictionError extends ServiceError {
+  get code() {
+    return "UPSTREAM_PREDICTION_FAILED";
+  }
+
+  get httpStatus() {
+    return 502;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The train data provider (zugfinder) failed or is unreachable
+ */
+class TrainDataError extends ServiceError {
+  get code() {
+    return "UPSTREAM_TRAIN_DATA_FAILED";
+  }
+
+  get httpStatus() {
+    return 502;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * An upstream failed repeatedly, its circuit breaker is open and calls fail
+ * fast until it is tried again (see upstream.js)
+ */
+class UpstreamUnavailableError extends ServiceError {
+  get code() {
+    return "UPSTREAM_UNAVAILABLE";
+  }
+
+  get httpStatus() {
+    return 503;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The train data provider has no data yet (e.g. no real arrival), the request
+ * should be repeated later
+ */
+class MissingDataError extends ServiceError {
+  get code() {
+    return "MISSING_DATA";
+  }
+
+  get status() {
+    return STATUS_MISSING_DELAY;
+  }
+
+  get httpStatus() {
+    return 404;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * An unexpected error of the service itself
+ */
+class InternalError extends ServiceError {}
+
+/**
+ * Converts any error into a ServiceError
+ * @param {Error} error - thrown error
+ * @returns {ServiceError} the error itself if it is a ServiceError, an InternalError otherwise
+ */
+function toServiceError(error) {
+  if (error instanceof ServiceError) return error;
+
+  // body that express.json() rejected (invalid JSON, too large, ...)
+  if (error && error.expose && error.status < 500) {
+    const message = error.type === "entity.parse.failed" ? "request body is not valid JSON" : error.message;
+    return new ValidationError(message, { cause: error });
+  }
+
+  return new InternalError("internal error", { cause: error });
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  ServiceError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  PredictionError,
+  TrainDataError,
+  UpstreamUnavailableError,
+  MissingDataError,
+  InternalError,
+  toServiceError,
+};
@@ -0,0 +1,120 @@
+/**
+ * Exposure Module
+ *
+ * Tracks the exposure of the protection system, i.e. the sum of the payouts of all
+ * accepted quotes (policies that are active or awaiting their delay). The exposure is
+ * tracked
+ * - per train: every train of a journey on its day of departure (e.g. "ICE 1000 2025-10-15")
+ * - per day: the departure date of the journey
+ * - in total
+ *
+ * A new quote is rejected if it would exceed one of the configured limits.
+ */
+
+const policies = require("./policies");
+require("dotenv").config();
+
+// limits, a limit that is not configured is not checked
+const LIMITS = {
+  train: limit(process.env.EXPOSURE_LIMIT_TRAIN),
+  day: limit(process.env.EXPOSURE_LIMIT_DAY),
+  total: limit(process.env.EXPOSURE_LIMIT_TOTAL),
+};
+
+/**
+ * EXPOSURE
+ */
+
+/**
+ * Calculates the current exposure of all accepted quotes
+ * @returns {Object} { train: { key: sum }, day: { key: sum }, total: sum }
+ */
+function getExposure() {
+  const exposure = { train: {}, day: {}, total: 0 };
+
+  const accepted = policies
+    .listPolicies(policies.STATE_ACTIVE)
+    .concat(policies.listPolicies(policies.STATE_AWAITING_DELAY));
+
+  for (const policy of accepted) {
+    const payout = Number(policy.payout) || 0;
+    const keys = getKeys(policy.journey);
+
+    keys.train.forEach((key) => {
+      exposure.train[key] = (exposure.train[key] || 0) + payout;
+    });
+    exposure.day[keys.day] = (exposure.day[keys.day] || 0) + payout;
+    exposure.total += payout;
+  }
+
+  return exposure;
+}
+
+/**
+ * Checks if a quote would exceed one of the limits
+ * @param {Object} journey - journey of the quote
+ * @param {number} payout - potential payout of the quote
+ * @returns {Object|null} the exceeded limit { scope, key, exposure, payout, limit }, null if all limits are kept
+ */
+function checkLimits(journey, payout) {
+  const exposure = getExposure();
+  const keys = getKeys(journey);
+
+  const checks = keys.train
+    .map((key) => ({ scope: "train", key: key, exposure: exposure.train[key] || 0 }))
+    .concat([
+      { scope: "day", key: keys.day, exposure: exposure.day[keys.day] || 0 },
+      { scope: "total", key: "total", exposure: exposure.total },
+    ]);
+
+  for (const check of checks) {
+    const max = LIMITS[check.scope];
+    if (max !== null && check.exposure + payout > max) {
+      return { ...check, payout: payout, limit: max };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @returns {Object} configured limits (null if not limited)
+ */
+function getLimits() {
+  return LIMITS;
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * @param {Object} journey - journey with all its legs
+ * @returns {Object} { train: [keys of the trains], day: departure date }
+ */
+function getKeys(journey) {
+  const legs = Object.values(journey);
+  const train = legs.map((leg) => leg.train.trim().replace(/\s+/g, " ").toUpperCase() + " " + leg.start_date);
+
+  return {
+    train: [...new Set(train)],
+    day: journey.leg_1.start_date,
+  };
+}
+
+/**
+ * @param {string} value - configured limit
+ * @returns {number|null} limit, null if not configured
+ */
+function limit(value) {
+  return value === undefined || value === "" ? null : Number(value);
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  getExposure,
+  checkLimits,
+  getLimits,
+};
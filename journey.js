@@ -0,0 +1,258 @@
+/**
+ * Journey Module
+ *
+ * Helper functions for working with journeys. A journey is an object
+ * with the legs "leg_1" ... "leg_N" as used by the zugfinder API.
+ *
+ * All dates and times of a journey are local times of Europe/Berlin. They are
+ * converted explicitly (including the DST transitions), so the results don't
+ * depend on the timezone of the host.
+ */
+
+const sha256 = require('js-sha256')
+const log = require('./logger')
+
+// timezone of all journey times
+const TIMEZONE = 'Europe/Berlin'
+
+// fields of a leg in the order they are hashed
+const LEG_FIELDS = ['train', 'start_stop', 'start_time', 'start_date', 'arrival_stop', 'arrival_time', 'arrival_date']
+
+// a real time that is this much earlier than the scheduled time belongs to the next day
+// (zugfinder keeps the scheduled date if a train is delayed past midnight)
+const MAX_EARLY_MINUTES = 4 * 60
+
+// splits a date into its local parts in TIMEZONE
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+})
+
+/***
+ * The hash is canonical: it only depends on the legs (in the order of their numbers)
+ * and on the fields of every leg, not on the order of the keys or on further fields.
+ * @param _journey journey with all its legs
+ * @returns sha256 of the journey, identifies the journey in the cache, quotes and signed responses
+ */
+function hashJourney(_journey) {
+  const legs = Object.keys(_journey)
+    .sort((a, b) => legNumber(a) - legNumber(b))
+    .map(leg => LEG_FIELDS.map(field => _journey[leg][field]))
+
+  return sha256(JSON.stringify(legs))
+}
+
+/***
+ * @param _journey journey with all its legs
+ * @returns arrival time as date object
+ */
+function retrieveArrivalDate(_journey) {
+  // get last leg of the journey
+  const amountLegs = Object.keys(_journey).length
+  const arrivalLeg = _journey['leg_' + amountLegs]
+
+  if (arrivalLeg) {
+    // create arrival date object
+    return toDate(retrieveLegArrivalDay(arrivalLeg), arrivalLeg.arrival_time)
+  } else {
+    throw new Error('Missing Data')
+  }
+}
+
+/***
+ * @param _journey journey with all its legs
+ * @returns departure time as date object
+ */
+function retrieveDepartureDate(_journey) {
+  // get first leg of the journey
+  const departureLeg = _journey['leg_1']
+
+  if (departureLeg) {
+    // create departure date object
+    return toDate(departureLeg.start_date, departureLeg.start_time)
+  } else {
+    throw new Error('Missing Data')
+  }
+}
+
+/***
+ * Day of the arrival of a leg
+ * Without arrival_date, a leg arriving at an earlier time than it departs runs overnight.
+ * @param _leg leg of a journey
+ * @returns date in format YYYY-MM-DD
+ */
+function retrieveLegArrivalDay(_leg) {
+  if (_leg.arrival_date) return _leg.arrival_date
+  return _leg.arrival_time < _leg.start_time ? addDays(_leg.start_date, 1) : _leg.start_date
+}
+
+/***
+ * @param _date date in format YYYY-MM-DD (Europe/Berlin)
+ * @param _time time in format hh:mm (Europe/Berlin)
+ * @returns date object
+ * A time that doesn't exist (skipped at the start of DST) is moved forward by the gap,
+ * a time that exists twice (end of DST) is the first one (summer time).
+ */
+function toDate(_date, _time) {
+  const [year, month, day] = _date.split('-').map(Number)
+  const [hours, minutes] = _time.split(':').map(Number)
+  const local = Date.UTC(year, month - 1, day, hours, minutes)
+
+  // offsets around the local time, they only differ on the days of the DST transitions
+  const before = getOffset(new Date(local - 12 * 60 * 60 * 1000))
+  const after = getOffset(new Date(local + 12 * 60 * 60 * 1000))
+
+  // an offset fits if the local time really has this offset, the one before wins if both fit
+  const offset = [before, after].find(candidate => getOffset(new Date(local - candidate * 60 * 1000)) === candidate)
+
+  // no offset fits in the skipped hour, the offset before moves the time forward
+  return new Date(local - (offset !== undefined ? offset : before) * 60 * 1000)
+}
+
+/***
+ * Real time of an event, corrected if zugfinder kept the scheduled date past midnight
+ * @param _scheduled scheduled time as date object
+ * @param _date real date in format YYYY-MM-DD
+ * @param _time real time in format hh:mm
+ * @returns real time as date object
+ */
+function toRealDate(_scheduled, _date, _time) {
+  let date = _date
+  let real = toDate(date, _time)
+
+  // move to the next day in local time, so a DST transition in between is respected
+  while (calculateDelayMinutes(_scheduled, real) < -MAX_EARLY_MINUTES) {
+    log.info('detected 0:00 transition with date error - fixing date...')
+    date = addDays(date, 1)
+    real = toDate(date, _time)
+  }
+
+  return real
+}
+
+/***
+ * @param _date date object
+ * @returns local date and time in Europe/Berlin: { date: 'YYYY-MM-DD', time: 'hh:mm' }
+ */
+function toLocalParts(_date) {
+  const parts = getParts(_date)
+  return {
+    date: parts.year + '-' + parts.month + '-' + parts.day,
+    time: parts.hour + ':' + parts.minute
+  }
+}
+
+/***
+ * Shifts a date and time by some minutes
+ * Calculated in Europe/Berlin like the journey, so DST transitions are respected.
+ * @param _date date in format YYYY-MM-DD
+ * @param _time time in format hh:mm
+ * @param _minutes minutes to add, negative to subtract
+ * @returns local date and time in Europe/Berlin: { date: 'YYYY-MM-DD', time: 'hh:mm' }
+ */
+function shiftDateTime(_date, _time, _minutes) {
+  return toLocalParts(new Date(toDate(_date, _time).getTime() + _minutes * 60 * 1000))
+}
+
+/***
+  * @param _date date object
+  * @returns date as string in format YYYY-MM-DDThh:mm:ss+hh:mm
+  * in Europe/Berlin including its timezone offset!
+  */
+function toIsoString(date) {
+  const parts = getParts(date)
+  const tzo = getOffset(date)
+  const dif = tzo >= 0 ? '+' : '-'
+  const pad = (num) => String(num).padStart(2, '0')
+
+  return parts.year +
+    '-' + parts.month +
+    '-' + parts.day +
+    'T' + parts.hour +
+    ':' + parts.minute +
+    ':' + parts.second +
+    dif + pad(Math.floor(Math.abs(tzo) / 60)) +
+    ':' + pad(Math.abs(tzo) % 60)
+}
+
+
+/***
+ * @param _scheduledDate
+ * @param _realDate
+ * @returns delay in minutes
+ */
+function calculateDelayMinutes(_scheduledDate, _realDate) {
+  // calculate difference
+  const diff = (_realDate - _scheduledDate)
+
+  // return in minutes
+  return (diff / 1000 / 60)
+}
+
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/***
+ * @param leg name of a leg, e.g. 'leg_2'
+ * @returns number of the leg, e.g. 2
+ */
+function legNumber(leg) {
+  return Number(leg.replace('leg_', ''))
+}
+
+/***
+ * @param _date date object
+ * @returns local parts in Europe/Berlin as two-digit strings { year, month, day, hour, minute, second }
+ */
+function getParts(_date) {
+  const parts = {}
+  formatter.formatToParts(_date).forEach(part => {
+    parts[part.type] = part.value
+  })
+  return parts
+}
+
+/***
+ * @param _date date object
+ * @returns offset of Europe/Berlin to UTC in minutes at this date (60 or 120)
+ */
+function getOffset(_date) {
+  const parts = getParts(_date)
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return Math.round((local - Math.floor(_date.getTime() / 1000) * 1000) / 60 / 1000)
+}
+
+/***
+ * @param _date date in format YYYY-MM-DD
+ * @param _days days to add
+ * @returns date in format YYYY-MM-DD
+ */
+function addDays(_date, _days) {
+  const [year, month, day] = _date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + _days)).toISOString().slice(0, 10)
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  TIMEZONE,
+  hashJourney,
+  retrieveArrivalDate,
+  retrieveDepartureDate,
+  retrieveLegArrivalDay,
+  toDate,
+  toRealDate,
+  toLocalParts,
+  shiftDateTime,
+  toIsoString,
+  calculateDelayMinutes
+}
@@ -0,0 +1,123 @@
+/**
+ * Logger Module
+ *
+ * Writes structured log entries, one JSON object per line:
+ *   {"time":"...","level":"info","msg":"added cache entry","requestId":"..."}
+ *
+ * Entries written while a request is handled carry its requestId automatically
+ * (see withContext), so all entries of one request can be found in the logs.
+ * Further fields are passed as object, errors are written with their code and stack.
+ *
+ * LOG_LEVEL sets the minimum level (default: info), LOG_FORMAT=text writes
+ * readable lines instead of JSON for development.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+require("dotenv").config();
+
+// levels by severity
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+const LOG_FORMAT = process.env.LOG_FORMAT === "text" ? "text" : "json";
+
+// fields of the current request, e.g. { requestId }
+const context = new AsyncLocalStorage();
+
+/**
+ * LOGGING
+ */
+
+/**
+ * @param {string} message - what happened
+ * @param {Object} [fields] - further data, e.g. { journeyHash, probability }
+ */
+function debug(message, fields) {
+  write("debug", message, fields);
+}
+
+function info(message, fields) {
+  write("info", message, fields);
+}
+
+function warn(message, fields) {
+  write("warn", message, fields);
+}
+
+function error(message, fields) {
+  write("error", message, fields);
+}
+
+/**
+ * Runs a function with fields that are added to all entries written by it,
+ * including the entries of everything it awaits
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn - function to run
+ * @returns {*} result of fn
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Writes one entry, errors to stderr and everything else to stdout
+ * @param {string} level - level of the entry (see LEVELS)
+ * @param {string} message - what happened
+ * @param {Object|Error} [fields] - further data, an error is written as field "error"
+ */
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  if (fields instanceof Error) fields = { error: fields };
+
+  const entry = { time: new Date().toISOString(), level: level, msg: message, ...context.getStore() };
+  for (const key in fields) {
+    entry[key] = fields[key] instanceof Error ? serializeError(fields[key]) : fields[key];
+  }
+
+  const stream = level === "error" ? process.stderr : process.stdout;
+  stream.write((LOG_FORMAT === "text" ? toText(entry) : JSON.stringify(entry)) + "\n");
+}
+
+/**
+ * @param {Error} error - error of a log entry
+ * @returns {Object} { name, message, code, stack, cause }
+ */
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) serialized.code = error.code;
+  if (error.stack) serialized.stack = error.stack;
+  if (error.cause instanceof Error) serialized.cause = serializeError(error.cause);
+  return serialized;
+}
+
+/**
+ * @param {Object} entry - log entry
+ * @returns {string} e.g. "12:00:00.000 info [4f1c...] added cache entry size=12"
+ */
+function toText(entry) {
+  const { time, level, msg, requestId, ...fields } = entry;
+  const values = Object.keys(fields).map((key) => {
+    const value = fields[key];
+    return key + "=" + (typeof value === "object" && value !== null ? JSON.stringify(value) : value);
+  });
+  return [time.slice(11), level, requestId ? "[" + requestId + "]" : null, msg]
+    .concat(values)
+    .filter((part) => part !== null)
+    .join(" ");
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  debug,
+  info,
+  warn,
+  error,
+  withContext,
+};
@@ -0,0 +1,149 @@
+/**
+ * Metrics Module
+ *
+ * Prometheus metrics of the service, served by GET /metrics:
+ * - train_service_responses_total: responses by endpoint and status (OK, SEV, TIME, ...)
+ * - train_service_http_request_duration_seconds: duration of the requests by endpoint and HTTP status
+ * - train_service_upstream_request_duration_seconds: latency of the prediction service and zugfinder
+ * - train_service_upstream_breaker_open: 1 while the circuit breaker of an upstream is open
+ * - train_service_cache_requests_total, train_service_cache_entries: probability cache
+ * - train_service_probability_percent: spread of the delay probabilities returned by the prediction
+ * and the default metrics of the Node.js process (memory, CPU, event loop lag).
+ */
+
+const client = require("prom-client");
+const status = require("./status");
+
+const PREFIX = "train_service_";
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register: register, prefix: PREFIX });
+
+// status names by code, e.g. 30 -> "PROBABILITY"
+const STATUS_NAMES = Object.fromEntries(
+  Object.entries(status).map(([name, code]) => [code, name.replace("STATUS_", "")])
+);
+
+const responses = new client.Counter({
+  name: PREFIX + "responses_total",
+  help: "Responses by endpoint and status of the response body",
+  labelNames: ["endpoint", "status"],
+  registers: [register],
+});
+
+const requestDuration = new client.Histogram({
+  name: PREFIX + "http_request_duration_seconds",
+  help: "Duration of the requests by endpoint and HTTP status",
+  labelNames: ["method", "endpoint", "code"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const upstreamDuration = new client.Histogram({
+  name: PREFIX + "upstream_request_duration_seconds",
+  help: "Duration of the requests to the upstreams by outcome (success, failure, timeout)",
+  labelNames: ["upstream", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: PREFIX + "upstream_breaker_open",
+  help: "1 while the circuit breaker of the upstream is open or half-open",
+  labelNames: ["upstream"],
+  registers: [register],
+  collect() {
+    // required here, upstream.js records its latency in this module
+    const upstreams = require("./upstream").getStates();
+    for (const name in upstreams) this.set({ upstream: name }, upstreams[name].state === "closed" ? 0 : 1);
+  },
+});
+
+const cacheRequests = new client.Counter({
+  name: PREFIX + "cache_requests_total",
+  help: "Requests to the probability cache by result (hit, miss, coalesced)",
+  labelNames: ["result"],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: PREFIX + "cache_entries",
+  help: "Entries of the probability cache",
+  registers: [register],
+  collect() {
+    // required here, the cache records its requests in this module
+    this.set(require("./cache").getStats().size);
+  },
+});
+
+const probabilities = new client.Histogram({
+  name: PREFIX + "probability_percent",
+  help: "Delay probabilities returned by the prediction in percent",
+  buckets: [1, 2, 5, 10, 15, 20, 25, 30, 35, 40, 50, 75, 100],
+  registers: [register],
+});
+
+/**
+ * RECORDING
+ */
+
+/**
+ * @param {string} endpoint - endpoint of the request, e.g. "/payouts"
+ * @param {number} code - status code of the response body (see status.js)
+ */
+function recordResponse(endpoint, code) {
+  responses.inc({ endpoint: endpoint, status: STATUS_NAMES[code] || String(code) });
+}
+
+/**
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - endpoint of the request
+ * @param {number} code - HTTP status of the response
+ * @param {number} seconds - duration of the request
+ */
+function recordRequest(method, endpoint, code, seconds) {
+  requestDuration.observe({ method: method, endpoint: endpoint, code: code }, seconds);
+}
+
+/**
+ * @param {string} upstream - name of the upstream, e.g. "prediction"
+ * @param {string} outcome - "success", "failure" or "timeout"
+ * @param {number} seconds - duration of the attempt
+ */
+function recordUpstream(upstream, outcome, seconds) {
+  upstreamDuration.observe({ upstream: upstream, outcome: outcome }, seconds);
+}
+
+/**
+ * @param {string} result - "hit", "miss" or "coalesced"
+ */
+function recordCache(result) {
+  cacheRequests.inc({ result: result });
+}
+
+/**
+ * @param {number|string} probability - delay probability in percent
+ */
+function recordProbability(probability) {
+  probabilities.observe(Number(probability));
+}
+
+/**
+ * @returns {Promise<string>} all metrics in the Prometheus text format
+ */
+function getMetrics() {
+  return register.metrics();
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  contentType: register.contentType,
+  recordResponse,
+  recordRequest,
+  recordUpstream,
+  recordCache,
+  recordProbability,
+  getMetrics,
+};
@@ -0,0 +1,145 @@
+/**
+ * Notification Queue Module
+ *
+ * Queues outgoing notifications of one recipient (e.g. one Telegram chat), so that
+ * - the rate limit of the recipient is respected (messages per minute)
+ * - failed messages are retried with exponential backoff
+ * - messages that pile up under load are merged into one digest per send slot (optional)
+ * - a failing recipient never throws into the caller
+ */
+
+const log = require("./logger");
+
+// default options of a queue
+const DEFAULTS = {
+  name: "notifications", // name used in log messages
+  ratePerMinute: 20, // maximum messages per minute
+  maxRetries: 5, // attempts after the first failure before a message is dropped
+  retryBase: 1000, // first retry after 1s, doubled for every further attempt
+  maxLength: 4096, // maximum length of one message (digests are split accordingly)
+  separator: "\n\n", // separator of the messages in a digest
+  digestHeader: (count) => count + " notifications", // first line of a digest
+  digest: true, // merge pending messages, false sends every message on its own
+};
+
+/**
+ * Creates a queue
+ * @param {Function} send - async (message) => void, delivers one message, throws on failure.
+ * An error may carry retryAfter (seconds) to delay the next attempt.
+ * @param {Object} [options] - see DEFAULTS
+ * @returns {Object} queue with push(text) and getStats()
+ */
+function createQueue(send, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const interval = 60 * 1000 / config.ratePerMinute;
+
+  const pending = [];
+  let timer = null;
+  let flushing = false; // a message is being sent, no other flush may start meanwhile
+  let inFlight = 0; // messages taken off the queue by the running flush
+  let nextSlot = 0; // earliest time of the next message
+  let attempts = 0; // failed attempts of the current message
+  const stats = { sent: 0, digests: 0, retries: 0, dropped: 0 };
+
+  /**
+   * Adds a message to the queue
+   * @param {string|Object} message - message, only strings can be merged into digests
+   */
+  function push(message) {
+    pending.push(message);
+    schedule(0);
+  }
+
+  /**
+   * @returns {Object} { pending, sent, digests, retries, dropped }
+   */
+  function getStats() {
+    return { pending: pending.length + inFlight, ...stats };
+  }
+
+  /**
+   * Schedules the next send slot
+   * @param {number} delay - minimum delay in ms
+   */
+  function schedule(delay) {
+    if (timer || flushing) return;
+    const wait = Math.max(delay, nextSlot - Date.now(), 0);
+    timer = setTimeout(flush, wait);
+    timer.unref();
+  }
+
+  /**
+   * Sends the pending messages, merged into a digest if there is more than one
+   * The messages are taken off the queue while they are sent, so messages pushed
+   * meanwhile never cause them to be sent twice. They are put back for a retry.
+   */
+  async function flush() {
+    timer = null;
+    if (flushing || pending.length === 0) return;
+    flushing = true;
+
+    const count = takeCount();
+    const text = count === 1 ? pending[0] : digest(count);
+    const batch = pending.splice(0, count);
+    inFlight = count;
+    nextSlot = Date.now() + interval;
+
+    try {
+      await send(text);
+      attempts = 0;
+      stats.sent++;
+      if (count > 1) stats.digests++;
+    } catch (error) {
+      attempts++;
+      if (attempts > config.maxRetries) {
+        log.error(config.name + ": dropped " + count + " message(s) after " + attempts + " attempts", { error: error });
+        stats.dropped += count;
+        attempts = 0;
+      } else {
+        const backoff = error.retryAfter ? error.retryAfter * 1000 : config.retryBase * 2 ** (attempts - 1);
+        log.warn(config.name + ": sending failed (" + error.message + "), retry in " + backoff + "ms");
+        stats.retries++;
+        nextSlot = Date.now() + backoff;
+        pending.unshift(...batch);
+      }
+    } finally {
+      inFlight = 0;
+      flushing = false;
+    }
+
+    if (pending.length > 0) schedule(0);
+  }
+
+  /**
+   * @returns {number} amount of pending messages that fit into one message
+   */
+  function takeCount() {
+    if (!config.digest) return 1;
+
+    let length = config.digestHeader(pending.length).length;
+    let count = 0;
+    while (count < pending.length) {
+      length += config.separator.length + pending[count].length;
+      if (length > config.maxLength && count > 0) break;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * @param {number} count - amount of messages
+   * @returns {string} digest of the first pending messages
+   */
+  function digest(count) {
+    return [config.digestHeader(count)].concat(pending.slice(0, count)).join(config.separator);
+  }
+
+  return { push, getStats };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  createQueue,
+};
@@ -0,0 +1,27 @@
+/**
+ * Message Format
+ *
+ * Renders the events of the notifier as text for the channels.
+ */
+
+/**
+ * @param {Object} event - event created by the notifier ({ title, fields })
+ * @param {Object} [options]
+ * @param {boolean} [options.markdown=false] - bold title and labels (*text*)
+ * @returns {string} e.g. "New quote\n\nTime: ...\nProbability: 12.5"
+ */
+function toText(event, { markdown = false } = {}) {
+  const bold = (text) => (markdown ? "*" + text + "*" : text);
+
+  return (
+    bold(event.title) + "\n\n" +
+    event.fields.map(([label, value]) => bold(label) + ": " + value).join("\n")
+  );
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  toText,
+};
@@ -0,0 +1,250 @@
+/**
+ * Notifier
+ *
+ * Sends events of the service to the configured channels. Every channel is an
+ * adapter with the interface
+ *   createChannel(options) -> { send(event), getStats() }
+ * where send() never throws (failed messages are retried by the adapter).
+ *
+ * Event types:
+ * - quote: a new quote was issued
+ * - rejection: a journey was rejected (rail replacement service, timeframe, probability, exposure)
+ * - prediction-failure: the delay probability could not be requested
+ * - settlement: a policy was settled with the delay of its journey
+ *
+ * Channels and routes (event type -> channel names) are configured in the file
+ * NOTIFY_CONFIG (default: notifications.json). Without a file all events are sent
+ * to Telegram. New channel types are added by registering them in the list below.
+ *
+ * Besides the options of its adapter, every channel accepts
+ * - filter: { field: value | [values] }, only events whose data matches all fields are sent,
+ *   e.g. { "partner": "acme" } for the webhook of a partner
+ * - journey: include the journey of the event (default: true, false for webhooks,
+ *   since their receivers are outside of the service)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getTime, retrieveDepartureDateString, retrieveStops } = require("../telegram");
+const log = require("../logger");
+require("dotenv").config();
+
+// available channel types
+const CHANNEL_TYPES = {
+  telegram: () => require("./telegram"),
+  webhook: () => require("./webhook"),
+  email: () => require("./email"),
+  matrix: () => require("./matrix"),
+};
+
+// title and fields of the messages by event type
+const EVENTS = {
+  quote: {
+    title: "New quote",
+    fields: (data) => [
+      ["Source", data.source],
+      ["Probability", data.probability],
+      ["Payout", formatPayout(data.payout)],
+      ["Quote", data.quoteId],
+    ].concat(journeyFields(data.journey)),
+  },
+  rejection: {
+    title: "Rejected query",
+    fields: (data) => [
+      ["Source", data.source],
+      ["Reason", data.reason],
+      ["Probability", data.probability],
+    ].concat(journeyFields(data.journey)),
+  },
+  "prediction-failure": {
+    title: "Prediction failed",
+    fields: (data) => [
+      ["Source", data.source],
+      ["Error", data.error],
+    ].concat(journeyFields(data.journey)),
+  },
+  settlement: {
+    title: "Policy settled",
+    fields: (data) => [
+      ["Policy", data.policyId],
+      ["Partner", data.partner],
+      ["Delay", data.delay + " minutes"],
+      ["Eligible", data.eligible ? "yes" : "no"],
+      ["Payout due", data.payoutDue],
+      ["Cancelled", data.cancellation ? data.cancellation.legs.join(", ") : "no"],
+    ].concat(journeyFields(data.journey)),
+  },
+};
+
+// used if no configuration file exists: everything goes to Telegram
+const DEFAULT_CONFIG = {
+  channels: { telegram: { type: "telegram" } },
+  routes: Object.fromEntries(Object.keys(EVENTS).map((type) => [type, ["telegram"]])),
+};
+
+const CONFIG_FILE = process.env.NOTIFY_CONFIG || path.join(__dirname, "..", "notifications.json");
+
+const { channels, routes } = load(CONFIG_FILE);
+
+/**
+ * NOTIFICATIONS
+ */
+
+/**
+ * Sends an event to all channels routed for its type
+ * Never throws, events without a route are ignored.
+ * @param {string} type - event type (see EVENTS)
+ * @param {Object} data - data of the event, e.g. { source, journey, probability }
+ */
+function notify(type, data = {}) {
+  if (!(type in EVENTS)) {
+    log.error("unknown notification event " + type);
+    return;
+  }
+
+  const names = routes[type] || [];
+  if (names.length === 0) return;
+
+  let event, withoutJourney;
+  try {
+    event = createEvent(type, data);
+    withoutJourney = createEvent(type, { ...data, journey: undefined });
+  } catch (error) {
+    log.error("could not create notification " + type, { error: error });
+    return;
+  }
+
+  for (const name of names) {
+    const channel = channels[name];
+    if (!matches(channel.filter, data)) continue;
+    channel.send(channel.journey ? event : withoutJourney);
+  }
+}
+
+/**
+ * @returns {Object} statistics of the channels by name
+ */
+function getStats() {
+  const stats = {};
+  for (const name in channels) stats[name] = channels[name].getStats();
+  return stats;
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * @param {string} type - event type
+ * @param {Object} data - data of the event
+ * @returns {Object} { type, title, time, fields, data } - fields are [label, value] pairs without empty values
+ */
+function createEvent(type, data) {
+  return {
+    type: type,
+    title: EVENTS[type].title,
+    time: new Date().toISOString(),
+    fields: [["Time", getTime()]]
+      .concat(EVENTS[type].fields(data))
+      .filter(([, value]) => value !== undefined && value !== null && value !== ""),
+    data: data,
+  };
+}
+
+/**
+ * @param {Object|null} filter - filter of a channel { field: value | [values] }
+ * @param {Object} data - data of the event
+ * @returns {boolean} true if the event passes the filter
+ */
+function matches(filter, data) {
+  if (!filter) return true;
+  return Object.keys(filter).every((field) => [].concat(filter[field]).includes(data[field]));
+}
+
+/**
+ * @param {Object} [journey] - journey with all its legs
+ * @returns {Array} departure and stops of the journey
+ */
+function journeyFields(journey) {
+  if (!journey) return [];
+  return [
+    ["Departure", retrieveDepartureDateString(journey)],
+    ["Journey", retrieveStops(journey)],
+  ];
+}
+
+/**
+ * @param {number|Object} payout - payout or payouts by type
+ * @returns {string} e.g. "small: 20, medium: 40"
+ */
+function formatPayout(payout) {
+  if (payout !== null && typeof payout === "object") {
+    return Object.keys(payout).map((type) => type + ": " + payout[type]).join(", ");
+  }
+  return payout;
+}
+
+/**
+ * Loads the configuration and creates the channels
+ * @param {string} file - configuration file
+ * @returns {Object} { channels: { name: channel }, routes: { type: [names] } }
+ * @throws {Error} if a channel type, route or event type is unknown or a filter is invalid
+ */
+function load(file) {
+  const config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : DEFAULT_CONFIG;
+
+  const channels = {};
+  for (const name in config.channels) {
+    const options = resolve(config.channels[name]);
+    if (!(options.type in CHANNEL_TYPES)) {
+      throw new Error(
+        'unknown channel type "' + options.type + '" of channel ' + name +
+          ", available: " + Object.keys(CHANNEL_TYPES).join(", ")
+      );
+    }
+    if (options.filter !== undefined && (options.filter === null || typeof options.filter !== "object" || Array.isArray(options.filter))) {
+      throw new Error("filter of channel " + name + " has to be an object { field: value | [values] }");
+    }
+
+    channels[name] = {
+      ...CHANNEL_TYPES[options.type]().createChannel({ name: name, ...options }),
+      filter: options.filter || null,
+      journey: options.journey ?? options.type !== "webhook",
+    };
+  }
+
+  const routes = config.routes || {};
+  for (const type in routes) {
+    if (!(type in EVENTS)) throw new Error("unknown event type " + type + " in the notification routes");
+    routes[type].forEach((name) => {
+      if (!(name in channels)) throw new Error("unknown channel " + name + " in the route of " + type);
+    });
+  }
+
+  log.info("notification channels: " + (Object.keys(channels).join(", ") || "none"));
+  return { channels, routes };
+}
+
+/**
+ * Replaces option values like "$SMTP_URL" with the environment variable,
+ * so secrets don't have to be stored in the configuration file
+ * @param {Object} options - options of a channel
+ * @returns {Object} the resolved options
+ */
+function resolve(options) {
+  const resolved = {};
+  for (const key in options) {
+    const value = options[key];
+    const match = typeof value === "string" && value.match(/^\$([A-Z0-9_]+)$/);
+    resolved[key] = match ? process.env[match[1]] : value;
+  }
+  return resolved;
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  notify,
+  getStats,
+};
@@ -0,0 +1,75 @@
+/**
+ * Matrix Channel
+ *
+ * Sends events as text messages to a Matrix room (client-server API).
+ *
+ * Options:
+ * - homeserver: URL of the homeserver, e.g. "https://matrix.example.org" (default: MATRIX_HOMESERVER)
+ * - accessToken: access token of the sending user (default: MATRIX_ACCESS_TOKEN)
+ * - roomId: target room, e.g. "!abc:example.org" (required)
+ * - ratePerMinute: maximum messages per minute (default: 20)
+ */
+
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+const { createQueue } = require("../notification-queue");
+const { toText } = require("./format");
+require("dotenv").config();
+
+// time until a request is aborted
+const TIMEOUT = 10 * 1000;
+
+/**
+ * @param {Object} options - options of the channel
+ * @returns {Object} channel with send(event) and getStats()
+ */
+function createChannel({ name, homeserver, accessToken, roomId, ratePerMinute }) {
+  homeserver = homeserver || process.env.MATRIX_HOMESERVER;
+  accessToken = accessToken || process.env.MATRIX_ACCESS_TOKEN;
+  if (!homeserver || !accessToken || !roomId) {
+    throw new Error("matrix channel " + name + " needs a homeserver, an access token and a room");
+  }
+
+  const queue = createQueue((text) => sendMessage(homeserver, accessToken, roomId, text), {
+    name: "matrix " + name,
+    ratePerMinute: Number(ratePerMinute) || 20,
+    digestHeader: (count) => "Digest of " + count + " notifications",
+  });
+
+  return {
+    send: (event) => queue.push(toText(event)),
+    getStats: queue.getStats,
+  };
+}
+
+/**
+ * Sends a text message to a room
+ * @throws {Error} if the homeserver rejects the message, with retryAfter (seconds) if it is rate limited
+ */
+async function sendMessage(homeserver, accessToken, roomId, text) {
+  // every message needs a new transaction id, otherwise the homeserver ignores it
+  const url =
+    homeserver.replace(/\/$/, "") + "/_matrix/client/v3/rooms/" + encodeURIComponent(roomId) +
+    "/send/m.room.message/" + crypto.randomUUID();
+
+  const res = await fetch(url, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer " + accessToken },
+    body: JSON.stringify({ msgtype: "m.text", body: text }),
+    timeout: TIMEOUT,
+  });
+
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    const error = new Error("matrix answered with " + res.status + (body.error ? ": " + body.error : ""));
+    error.retryAfter = body.retry_after_ms ? Math.ceil(body.retry_after_ms / 1000) : undefined;
+    throw error;
+  }
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  createChannel,
+};
@@ -0,0 +1,30 @@
+/**
+ * Telegram Channel
+ *
+ * Sends events to a Telegram chat through the bot of telegram.js, which already
+ * queues the messages per chat.
+ *
+ * Options:
+ * - chatId: target chat (default: CHAT_ID)
+ */
+
+const telegram = require("../telegram");
+const { toText } = require("./format");
+
+/**
+ * @param {Object} options - options of the channel
+ * @returns {Object} channel with send(event) and getStats()
+ */
+function createChannel({ chatId }) {
+  return {
+    send: (event) => telegram.sendMsg(toText(event, { markdown: true }), chatId || undefined),
+    getStats: () => telegram.getQueueStats()[chatId || process.env.CHAT_ID] || null,
+  };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  createChannel,
+};
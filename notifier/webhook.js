@@ -0,0 +1,78 @@
+/**
+ * Webhook Channel
+ *
+ * Posts every event as JSON to an HTTP endpoint:
+ *   { "event": "settlement", "time": "...", "title": "...", "text": "...", "data": { ... } }
+ *
+ * If a secret is configured, the body is signed with HMAC-SHA256 and the signature
+ * is sent in the header X-Signature ("sha256=<hex>"), so receivers can check the origin.
+ *
+ * Options:
+ * - url: endpoint (required)
+ * - secret: key of the signature (optional)
+ * - ratePerMinute: maximum requests per minute (default: 60)
+ */
+
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+const { createQueue } = require("../notification-queue");
+const { toText } = require("./format");
+
+// time until a request is aborted
+const TIMEOUT = 10 * 1000;
+
+/**
+ * @param {Object} options - options of the channel
+ * @returns {Object} channel with send(event) and getStats()
+ */
+function createChannel({ name, url, secret, ratePerMinute }) {
+  if (!url) throw new Error("webhook channel " + name + " needs a url");
+
+  const queue = createQueue((body) => post(url, body, secret), {
+    name: "webhook " + name,
+    ratePerMinute: Number(ratePerMinute) || 60,
+    digest: false, // receivers expect one event per request
+  });
+
+  return {
+    send: (event) =>
+      queue.push(
+        JSON.stringify({
+          event: event.type,
+          time: event.time,
+          title: event.title,
+          text: toText(event),
+          data: event.data,
+        })
+      ),
+    getStats: queue.getStats,
+  };
+}
+
+/**
+ * Posts a body to the endpoint
+ * @param {string} url - endpoint
+ * @param {string} body - JSON body
+ * @param {string} [secret] - key of the signature
+ * @throws {Error} if the endpoint doesn't answer with 2xx, with retryAfter (seconds) on 429
+ */
+async function post(url, body, secret) {
+  const headers = { "Content-Type": "application/json" };
+  if (secret) {
+    headers["X-Signature"] = "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+  }
+
+  const res = await fetch(url, { method: "POST", headers: headers, body: body, timeout: TIMEOUT });
+  if (!res.ok) {
+    const error = new Error("webhook answered with " + res.status);
+    error.retryAfter = Number(res.headers.get("retry-after")) || undefined;
+    throw error;
+  }
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  createChannel,
+};
@@ -0,0 +1,536 @@
+/**
+ * OpenAPI Module
+ *
+ * Builds the OpenAPI 3.1 document of the service, served by GET /openapi.json and
+ * shown by the docs page GET /docs. The request bodies are generated from the Joi
+ * schemas the endpoints validate with (see validator.js), so the document can't
+ * drift from the validation. The responses are described here.
+ */
+
+const { schemas } = require("./validator");
+const payouts = require("./payouts");
+const testing = require("./testing");
+const status = require("./status");
+const { version } = require("./package.json");
+
+// components generated from the Joi schemas, used as $ref wherever they appear in a body
+const COMPONENTS = {
+  Leg: schemas.leg,
+  Journey: schemas.journey,
+  EncodedJourney: schemas.encodedJourney,
+};
+
+/**
+ * DOCUMENT
+ */
+
+/**
+ * Builds the document for the active payout matrix, the testing endpoints are only
+ * listed if they are enabled (TESTING_MODE=on)
+ * @returns {Object} OpenAPI document
+ */
+function buildDocument() {
+  const products = payouts.getProducts(payouts.getVersion());
+  const refs = componentRefs();
+  const body = (schema) => jsonBody(toJsonSchema(schema.describe(), refs));
+
+  const document = {
+    openapi: "3.1.0",
+    info: {
+      title: "Train delay protection service",
+      version: version,
+      description:
+        "Payouts and delays of train journeys. Every response has a `status` (see the `Status` schema); " +
+        "failed requests are answered with an `Error` and the HTTP status of the error. " +
+        "The contract endpoints `/payouts`, `/delay` and `/delayOracleTesting` answer their errors with HTTP 200.",
+    },
+    paths: {
+      "/payouts": {
+        post: operation("Payouts of a journey", {
+          description:
+            "The website sends `{ type: \"all\", journey: <journey object> }`, the contract " +
+            "`{ type: \"" + products.join("\" | \"") + "\", journey: <encoded journey> }`. " +
+            "The journey object is sent to `/delay` without `journey`. `?encoding=abi` adds the ABI-encoded result.",
+          parameters: [encodingParameter()],
+          requestBody: body(schemas.payoutsRequest(products)),
+          response: { oneOf: [ref("PayoutsResponse"), ref("Error")] },
+          errors: [429],
+        }),
+      },
+      "/payouts/batch": {
+        post: operation("Payouts of several journey objects", {
+          description: "Every journey counts as one request of the rate limit.",
+          requestBody: body(schemas.batchRequest(products)),
+          response: object({
+            status: ref("Status"),
+            results: { type: "array", items: { oneOf: [ref("PayoutsResponse"), ref("Error")] } },
+          }),
+          errors: [400, 429],
+        }),
+      },
+      "/payouts/versions": {
+        get: operation("Versions of the payout matrix", { response: object({ status: ref("Status"), active: { type: "string" }, versions: { type: "array", items: { type: "object" } } }) }),
+      },
+      "/delay": {
+        post: operation("Delay of a journey", {
+          description:
+            "The website sends the journey object as body, the contract `{ journey: <encoded journey> }`. " +
+            "`?encoding=abi` adds the ABI-encoded result.",
+          parameters: [encodingParameter()],
+          requestBody: body(schemas.delayRequest),
+          response: { oneOf: [ref("DelayResponse"), ref("Error")] },
+          errors: [429],
+        }),
+      },
+      "/encode": {
+        post: operation("Encodes a journey object for the contract", {
+          requestBody: jsonBody(ref("Journey")),
+          response: object({ status: ref("Status"), journey: ref("EncodedJourney") }),
+          errors: [400],
+        }),
+      },
+      "/stations": {
+        get: operation("Autocomplete of station names", {
+          parameters: [
+            queryParameter("q", { type: "string" }, "part of a station name"),
+            queryParameter("limit", { type: "integer", minimum: 1, maximum: 50, default: 10 }, "maximum amount of stations"),
+          ],
+          response: object({
+            status: ref("Status"),
+            stations: { type: "array", items: object({ name: { type: "string" }, eva: { type: "integer" } }) },
+          }),
+        }),
+      },
+      "/oracle/pubkey": {
+        get: operation("Public key responses are signed with", {
+          response: object({ status: ref("Status"), keyType: { type: "string" }, publicKey: { type: "string" }, address: { type: "string" } }),
+          errors: [404],
+        }),
+      },
+      "/exposure": {
+        get: operation("Exposure of the accepted quotes and its limits", { response: object({ status: ref("Status"), exposure: { type: "object" }, limits: { type: "object" } }) }),
+      },
+      "/upstreams": {
+        get: operation("Circuit breaker state of the upstreams", { response: object({ status: ref("Status"), upstreams: { type: "object" } }) }),
+      },
+      "/quotes/{id}": {
+        get: operation("A quote issued by /payouts", {
+          parameters: [pathParameter("id", "quote id")],
+          response: object({ status: ref("Status"), quote: ref("Policy") }),
+          errors: [404],
+        }),
+      },
+      "/policies": {
+        post: operation("Binds a quote to a policy", {
+          requestBody: body(schemas.bindPolicyRequest),
+          response: object({ status: ref("Status"), policy: ref("Policy") }),
+          errors: [400, 404, 409],
+        }),
+      },
+      "/policies/{id}": {
+        get: operation("A policy", {
+          parameters: [pathParameter("id", "policy id")],
+          response: object({ status: ref("Status"), policy: ref("Policy") }),
+          errors: [404],
+        }),
+      },
+      "/policies/{id}/state": {
+        post: operation("Moves a policy to another state (role oracle)", {
+          parameters: [pathParameter("id", "policy id")],
+          requestBody: body(schemas.policyStateRequest),
+          response: object({ status: ref("Status"), policy: ref("Policy") }),
+          errors: [400, 401, 403, 404, 409],
+          security: [{ apiKey: [] }],
+        }),
+      },
+      "/policies/{id}/settle": {
+        post: operation("Settles a policy with the delay of its journey (role oracle)", {
+          description: "Only after the scheduled arrival of the journey, earlier requests get CONFLICT.",
+          parameters: [pathParameter("id", "policy id")],
+          response: object({ status: ref("Status"), policy: ref("Policy") }),
+          errors: [401, 403, 404, 409, 502, 503],
+          security: [{ apiKey: [] }],
+        }),
+      },
+      "/metrics": {
+        get: operation("Prometheus metrics", { response: { content: { "text/plain": { schema: { type: "string" } } } } }),
+      },
+    },
+    components: {
+      schemas: {
+        ...Object.fromEntries(Object.keys(COMPONENTS).map((name) => [name, toJsonSchema(COMPONENTS[name].describe(), refs, name)])),
+        ...RESPONSE_SCHEMAS,
+      },
+      securitySchemes: {
+        apiKey: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Api-Key",
+          description: "Key of API_KEYS, requests can be signed instead (X-Key-Id, X-Timestamp, X-Signature), see the README",
+        },
+      },
+    },
+  };
+
+  if (testing.isEnabled()) Object.assign(document.paths, testingPaths(body));
+
+  return document;
+}
+
+/**
+ * @returns {string} HTML of the docs page, Swagger UI with the document of /openapi.json
+ */
+function docsPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Train delay protection service API</title>
+  <link rel="stylesheet" href="/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="/docs/assets/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: "/openapi.json", dom_id: "#docs" });</script>
+</body>
+</html>`;
+}
+
+/**
+ * RESPONSES
+ */
+
+const STATUS_CODES = Object.values(status);
+
+const RESPONSE_SCHEMAS = {
+  Status: {
+    type: "integer",
+    enum: STATUS_CODES,
+    description: Object.keys(status).map((name) => status[name] + ": " + name.replace("STATUS_", "")).join(", "),
+  },
+  Error: object(
+    {
+      status: { type: "integer", enum: STATUS_CODES },
+      code: { type: "string", example: "VALIDATION_FAILED" },
+      message: { type: "string" },
+      retryable: { type: "boolean" },
+      details: { description: "e.g. the problems of an invalid body or journey: [{ leg, field, code, message }]" },
+    },
+    ["status", "code", "message", "retryable"]
+  ),
+  PayoutsResponse: object(
+    {
+      status: { $ref: "#/components/schemas/Status" },
+      payout: {
+        oneOf: [{ type: "number" }, { type: "object", additionalProperties: { type: "number" } }],
+        description: "payout of the type, for type \"all\" the payouts by type",
+      },
+      quoteId: { type: "string" },
+      matrixVersion: { type: "string" },
+      pricing: { type: "object" },
+      abi: abiProperty(),
+      oracle: oracleProperty(),
+    },
+    ["status", "payout"]
+  ),
+  DelayResponse: object(
+    {
+      status: { $ref: "#/components/schemas/Status" },
+      delay: { type: "integer", description: "delay of the final arrival in minutes" },
+      legs: {
+        type: "array",
+        items: object({
+          leg: { type: "string" },
+          train: { type: "string" },
+          departureDelay: { type: ["integer", "null"] },
+          arrivalDelay: { type: ["integer", "null"] },
+          cancelled: { type: "boolean" },
+        }),
+      },
+      missedConnections: { type: "array", items: { type: "object" } },
+      cancellation: object({
+        rule: { type: "string", enum: ["max-delay", "next-arrival"] },
+        legs: { type: "array", items: { type: "string" } },
+        partial: { type: "boolean" },
+      }),
+      scenario: { type: "string", description: "only /delayOracleTesting: journey, session or simulator" },
+      abi: abiProperty(),
+      oracle: oracleProperty(),
+    },
+    ["status", "delay"]
+  ),
+  Policy: {
+    type: "object",
+    description: "quote or policy with its lifecycle state (quoted, active, awaiting-delay, settled, expired)",
+  },
+};
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Converts the description of a Joi schema (schema.describe()) to a JSON schema
+ * Covers the parts of Joi used in validator.js.
+ * @param {Object} description - description of the Joi schema
+ * @param {Map} refs - components by their description (see componentRefs)
+ * @param {string} [component] - name of the component that is converted, it is not referenced by itself
+ * @returns {Object} JSON schema
+ */
+function toJsonSchema(description, refs, component) {
+  const name = refs.get(refKey(description));
+  if (name && name !== component) return ref(name);
+
+  const flags = description.flags || {};
+  const rules = Object.fromEntries((description.rules || []).map((rule) => [rule.name, rule.args || {}]));
+  let schema = {};
+
+  switch (description.type) {
+    case "object":
+      schema = objectSchema(description, refs);
+      if (rules.min) schema.minProperties = rules.min.limit;
+      if (rules.max) schema.maxProperties = rules.max.limit;
+      break;
+    case "array":
+      schema = { type: "array" };
+      if (description.items) schema.items = toJsonSchema(description.items[0], refs);
+      if (rules.min) schema.minItems = rules.min.limit;
+      if (rules.max) schema.maxItems = rules.max.limit;
+      break;
+    case "string":
+      schema = { type: "string" };
+      if (rules.pattern) schema.pattern = patternSource(rules.pattern.regex);
+      if (rules.min) schema.minLength = rules.min.limit;
+      if (rules.max) schema.maxLength = rules.max.limit;
+      break;
+    case "number":
+      schema = { type: rules.integer ? "integer" : "number" };
+      if (rules.min) schema.minimum = rules.min.limit;
+      if (rules.max) schema.maximum = rules.max.limit;
+      break;
+    case "boolean":
+      schema = { type: "boolean" };
+      break;
+    case "date":
+      schema = { type: "string", format: "date-time" };
+      break;
+    case "alternatives":
+      // try() lists schemas, conditional() the schemas of both outcomes
+      schema = {
+        oneOf: description.matches.flatMap((match) =>
+          match.schema ? [toJsonSchema(match.schema, refs)] : [match.then, match.otherwise].filter(Boolean).map((branch) => toJsonSchema(branch, refs))
+        ),
+      };
+      break;
+    case "any":
+      // Joi.when() without a key of its own, see objectSchema for whens depending on other keys
+      if (description.whens) schema = { oneOf: description.whens.flatMap((when) => [when.then, when.otherwise].filter(Boolean).map((branch) => toJsonSchema(branch, refs))) };
+      break;
+  }
+
+  if (flags.only && description.allow) schema.enum = description.allow;
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined) schema.default = flags.default;
+  if (description.examples) schema.examples = description.examples;
+  return schema;
+}
+
+/**
+ * Converts an object schema, a key whose schema depends on the value of another key
+ * (Joi.when) makes one variant of the object per outcome, e.g. the website and the
+ * contract body of /payouts
+ * @returns {Object} JSON schema
+ */
+function objectSchema(description, refs) {
+  const keys = description.keys || {};
+  const properties = {};
+  const required = [];
+  for (const key in keys) {
+    if (keys[key].flags && keys[key].flags.presence === "required") required.push(key);
+    if (!keys[key].whens) properties[key] = toJsonSchema(keys[key], refs);
+  }
+
+  const schema = { type: "object" };
+  if (description.keys) schema.properties = properties;
+  if (required.length) schema.required = required;
+  if (description.patterns) {
+    schema.patternProperties = Object.fromEntries(description.patterns.map((pattern) => [patternSource(pattern.regex), toJsonSchema(pattern.rule, refs)]));
+  }
+  // Joi.object() without keys allows every key
+  if ((description.keys || description.patterns) && !(description.flags && description.flags.unknown)) schema.additionalProperties = false;
+
+  // peers of xor() and or(), oxor() allows none of them and is only described
+  (description.dependencies || []).forEach((dependency) => {
+    const alternatives = dependency.peers.map((peer) => ({ required: [peer] }));
+    if (dependency.rel === "xor") schema.oneOf = alternatives;
+    if (dependency.rel === "or") schema.anyOf = alternatives;
+    if (dependency.rel === "oxor") schema.description = "at most one of " + dependency.peers.join(", ");
+  });
+
+  const conditional = Object.keys(keys).find((key) => keys[key].whens);
+  if (!conditional) return schema;
+
+  // one variant where the other key has the values of "is" and one with the remaining values
+  const when = keys[conditional].whens[0];
+  const other = when.ref.path[0];
+  const matching = when.is.allow.filter((value) => typeof value !== "object" && value !== undefined);
+  const remaining = (keys[other].allow || []).filter((value) => !matching.includes(value));
+
+  const variant = (values, branch) => ({
+    ...schema,
+    properties: { ...properties, [other]: { ...properties[other], enum: values }, [conditional]: toJsonSchema(branch, refs) },
+  });
+  return { oneOf: [variant(matching, when.then), variant(remaining, when.otherwise)] };
+}
+
+/**
+ * @returns {Map} component name by the description of its Joi schema
+ */
+function componentRefs() {
+  return new Map(Object.keys(COMPONENTS).map((name) => [refKey(COMPONENTS[name].describe()), name]));
+}
+
+/**
+ * @param {Object} description - description of a Joi schema
+ * @returns {string} key that ignores whether the schema is required and its messages
+ */
+function refKey(description) {
+  const { flags = {}, preferences, ...rest } = description;
+  const { presence, ...otherFlags } = flags;
+  return JSON.stringify({ ...rest, flags: otherFlags });
+}
+
+/**
+ * @param {string} regex - regular expression as described by Joi, e.g. "/^[0-9]+$/"
+ * @returns {string} the pattern without slashes and flags
+ */
+function patternSource(regex) {
+  return String(regex).replace(/^\//, "").replace(/\/[a-z]*$/, "");
+}
+
+/**
+ * @param {string} summary - summary of the operation
+ * @param {Object} options - { description, parameters, requestBody, response, errors, security }
+ * @returns {Object} OpenAPI operation with the success response and the error responses
+ */
+function operation(summary, { description, parameters, requestBody, response, errors = [], security }) {
+  const responses = { 200: response.content ? { description: "OK", ...response } : { description: "OK", ...jsonBody(response) } };
+  errors.forEach((code) => (responses[code] = { description: ERROR_DESCRIPTIONS[code], ...jsonBody(ref("Error")) }));
+
+  const result = { summary: summary };
+  if (description) result.description = description;
+  if (parameters) result.parameters = parameters;
+  if (requestBody) result.requestBody = { required: true, ...requestBody };
+  result.responses = responses;
+  if (security) result.security = security;
+  return result;
+}
+
+const ERROR_DESCRIPTIONS = {
+  400: "invalid request (VALIDATION_FAILED)",
+  401: "missing or invalid credentials (UNAUTHORIZED)",
+  403: "the role of the API key is too low (FORBIDDEN)",
+  404: "unknown resource (NOT_FOUND) or missing delay (MISSING_DATA, status 40)",
+  409: "conflicts with the lifecycle state (CONFLICT)",
+  429: "rate limit exceeded (RATE_LIMITED)",
+  502: "the prediction service or zugfinder failed",
+  503: "the prediction service or zugfinder is unavailable (UPSTREAM_UNAVAILABLE)",
+};
+
+/**
+ * @param {Function} body - converts a Joi schema to a request body
+ * @returns {Object} paths of the testing endpoints
+ */
+function testingPaths(body) {
+  const oracle = { security: [{ apiKey: [] }] };
+  const admin = { security: [{ apiKey: [] }], errors: [400, 401, 403] };
+  const scenarios = object({ status: ref("Status"), scenarios: { type: "array", items: { type: "object" } } });
+
+  return {
+    "/delayOracleTesting": {
+      post: operation("Test oracle (role oracle)", {
+        ...oracle,
+        description: "Delay of the scenario of the journey or of the test session (header X-Test-Session), else calculated with the delay simulator.",
+        parameters: [encodingParameter(), { name: "X-Test-Session", in: "header", schema: { type: "string" } }],
+        requestBody: body(schemas.delayRequest),
+        response: { oneOf: [ref("DelayResponse"), ref("Error")] },
+        errors: [401, 403, 404],
+      }),
+    },
+    "/testing/scenarios": {
+      get: operation("Scenarios of the test oracle (role admin)", { ...admin, response: scenarios }),
+      post: operation("Sets a scenario of the test oracle (role admin)", {
+        ...admin,
+        requestBody: body(schemas.scenarioRequest),
+        response: object({ status: ref("Status"), scenario: { type: "object" } }),
+      }),
+    },
+    "/testing/scenarios/{scope}/{key}": {
+      delete: operation("Removes a scenario of the test oracle (role admin)", {
+        ...admin,
+        parameters: [pathParameter("scope", "journey or session"), pathParameter("key", "journey hash or session id")],
+        response: object({ status: ref("Status") }),
+        errors: [401, 403, 404],
+      }),
+    },
+    "/testing/simulator": {
+      get: operation("Scenarios of the delay simulator (role admin)", { ...admin, response: scenarios }),
+      post: operation("Sets a scenario of the delay simulator (role admin)", {
+        ...admin,
+        requestBody: body(schemas.simulationRequest),
+        response: object({ status: ref("Status"), scenario: { type: "object" } }),
+      }),
+      delete: operation("Restores the scenarios of the fixture file (role admin)", { ...admin, response: object({ status: ref("Status"), scenarios: { type: "integer" } }) }),
+    },
+    "/testing/simulator/{train}/{date}": {
+      delete: operation("Removes a scenario of the delay simulator (role admin)", {
+        ...admin,
+        parameters: [pathParameter("train", "train name"), pathParameter("date", "scheduled departure date, * for every date")],
+        response: object({ status: ref("Status") }),
+        errors: [401, 403, 404],
+      }),
+    },
+  };
+}
+
+function object(properties, required) {
+  const schema = { type: "object", properties: properties };
+  if (required) schema.required = required;
+  return schema;
+}
+
+function ref(name) {
+  return { $ref: "#/components/schemas/" + name };
+}
+
+function jsonBody(schema) {
+  return { content: { "application/json": { schema: schema } } };
+}
+
+function pathParameter(name, description) {
+  return { name: name, in: "path", required: true, description: description, schema: { type: "string" } };
+}
+
+function queryParameter(name, schema, description) {
+  return { name: name, in: "query", description: description, schema: schema };
+}
+
+function encodingParameter() {
+  return queryParameter("encoding", { type: "string", enum: ["abi"] }, "abi adds the ABI-encoded result (abi)");
+}
+
+function abiProperty() {
+  return { type: "string", description: "ABI-encoded (uint8 status, uint256 ...) with ?encoding=abi" };
+}
+
+function oracleProperty() {
+  return { type: "object", description: "signature of the response if ORACLE_PRIVATE_KEY is configured" };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  buildDocument,
+  docsPage,
+};
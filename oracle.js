@@ -0,0 +1,235 @@
+/**
+ * Oracle Signing Module
+ *
+ * Signs the results of /payouts and /delay, so the contract or a relayer can
+ * verify that a value was produced by this service.
+ *
+ * The signed message is the ABI-encoded
+ *   (bytes32 journeyHash, uint8 status, uint256 value, uint256 timestamp)
+ * If a response contains several values (e.g. all payouts), they are appended in their order.
+ *
+ * Supported keys (ORACLE_KEY_TYPE):
+ * - secp256k1 (default): Ethereum signature (r, s, v) over the EIP-191 hash of
+ *   keccak256(message), so it can be checked on-chain with ecrecover
+ * - ed25519: signature over the message itself
+ *
+ * A key for local testing can be generated with `npm run oracle:keygen`.
+ */
+
+const crypto = require("crypto");
+const EC = require("elliptic").ec;
+const { keccak256 } = require("js-sha3");
+const { encodeAbi } = require("./codec");
+const log = require("./logger");
+require("dotenv").config();
+
+const secp256k1 = new EC("secp256k1");
+
+const KEY_TYPE = process.env.ORACLE_KEY_TYPE || "secp256k1";
+const PRIVATE_KEY = process.env.ORACLE_PRIVATE_KEY;
+
+// signing key, null if signing is disabled
+const key = loadKey(KEY_TYPE, PRIVATE_KEY);
+
+/**
+ * SIGNING
+ */
+
+/**
+ * @returns {boolean} true if a key is configured
+ */
+function isEnabled() {
+  return key !== null;
+}
+
+/**
+ * Signs the result of an endpoint
+ * @param {Object} payload
+ * @param {string} payload.journeyHash - sha256 of the journey (hex)
+ * @param {number} payload.status - status code of the result
+ * @param {number|Object} payload.value - payout or delay (an object for several values)
+ * @param {number} [payload.timestamp] - unix timestamp in seconds (default: now)
+ * @returns {Object} { journeyHash, timestamp, message, signature, signer, keyType }
+ */
+function sign({ journeyHash, status, value, timestamp }) {
+  if (!isEnabled()) throw new Error("no oracle key configured");
+
+  timestamp = timestamp || Math.floor(Date.now() / 1000);
+  const message = encodeMessage({ journeyHash, status, value, timestamp });
+  const bytes = Buffer.from(message.slice(2), "hex");
+
+  let signature;
+  if (KEY_TYPE === "secp256k1") {
+    const digest = ethMessageHash(keccak256(bytes));
+    const sig = key.sign(digest, { canonical: true });
+    signature =
+      "0x" +
+      sig.r.toString(16, 64) +
+      sig.s.toString(16, 64) +
+      (27 + sig.recoveryParam).toString(16);
+  } else {
+    signature = "0x" + crypto.sign(null, bytes, key.privateKey).toString("hex");
+  }
+
+  return {
+    journeyHash: "0x" + journeyHash,
+    timestamp: timestamp,
+    message: message,
+    signature: signature,
+    signer: signer(),
+    keyType: KEY_TYPE,
+  };
+}
+
+/**
+ * Verifies a signature created by sign()
+ * @param {string} message - signed message (hex)
+ * @param {string} signature - signature (hex)
+ * @returns {boolean} true if the signature was created with the oracle key
+ */
+function verify(message, signature) {
+  if (!isEnabled()) throw new Error("no oracle key configured");
+
+  const bytes = Buffer.from(message.replace(/^0x/, ""), "hex");
+  const sig = signature.replace(/^0x/, "");
+
+  if (KEY_TYPE === "secp256k1") {
+    const digest = ethMessageHash(keccak256(bytes));
+    const recovered = secp256k1.recoverPubKey(
+      digest,
+      { r: sig.slice(0, 64), s: sig.slice(64, 128) },
+      parseInt(sig.slice(128, 130), 16) - 27
+    );
+    return toAddress(recovered) === signer();
+  }
+
+  return crypto.verify(null, bytes, key.publicKey, Buffer.from(sig, "hex"));
+}
+
+/**
+ * PUBLIC KEY
+ */
+
+/**
+ * @returns {Object} { keyType, publicKey, address } - address only for secp256k1
+ */
+function getPublicKey() {
+  if (!isEnabled()) throw new Error("no oracle key configured");
+
+  if (KEY_TYPE === "secp256k1") {
+    return {
+      keyType: KEY_TYPE,
+      publicKey: "0x" + key.getPublic(false, "hex"),
+      address: toAddress(key.getPublic()),
+    };
+  }
+
+  const raw = key.publicKey.export({ format: "der", type: "spki" }).subarray(-32);
+  return {
+    keyType: KEY_TYPE,
+    publicKey: "0x" + raw.toString("hex"),
+  };
+}
+
+/**
+ * Generates a new private key
+ * @param {string} [type] - key type (default: configured key type)
+ * @returns {string} private key as hex string
+ */
+function generateKey(type = KEY_TYPE) {
+  if (type === "secp256k1") return "0x" + secp256k1.genKeyPair().getPrivate("hex").padStart(64, "0");
+  if (type === "ed25519") {
+    const { privateKey } = crypto.generateKeyPairSync("ed25519");
+    // the last 32 bytes of the PKCS#8 encoding are the seed
+    return "0x" + privateKey.export({ format: "der", type: "pkcs8" }).subarray(-32).toString("hex");
+  }
+  throw new Error("unknown key type " + type);
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * ABI-encodes the signed message
+ * @returns {string} message as hex string
+ */
+function encodeMessage({ journeyHash, status, value, timestamp }) {
+  const values = value !== null && typeof value === "object" ? Object.values(value) : [value || 0];
+
+  return encodeAbi(
+    ["bytes32", "uint8"].concat(values.map(() => "uint256"), ["uint256"]),
+    [journeyHash, status].concat(values, [timestamp])
+  );
+}
+
+/**
+ * @param {string} hash - keccak256 hash (hex)
+ * @returns {Buffer} EIP-191 hash ("\x19Ethereum Signed Message:\n32" + hash)
+ */
+function ethMessageHash(hash) {
+  const prefix = Buffer.from("\x19Ethereum Signed Message:\n32");
+  return Buffer.from(keccak256(Buffer.concat([prefix, Buffer.from(hash, "hex")])), "hex");
+}
+
+/**
+ * @param {Object} publicKey - elliptic public key
+ * @returns {string} Ethereum address of the key
+ */
+function toAddress(publicKey) {
+  const raw = Buffer.from(publicKey.encode("hex", false).slice(2), "hex");
+  return "0x" + keccak256(raw).slice(-40);
+}
+
+/**
+ * @returns {string} address (secp256k1) or public key (ed25519) of the oracle
+ */
+function signer() {
+  const publicKey = getPublicKey();
+  return publicKey.address || publicKey.publicKey;
+}
+
+/**
+ * Loads the configured private key
+ * @param {string} type - key type
+ * @param {string} privateKey - private key as hex string
+ * @returns {Object|null} key, null if no key is configured
+ */
+function loadKey(type, privateKey) {
+  if (!privateKey) {
+    log.info("no oracle key configured, responses are not signed");
+    return null;
+  }
+
+  const hex = privateKey.replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) throw new Error("ORACLE_PRIVATE_KEY has to be 32 bytes in hex");
+
+  if (type === "secp256k1") return secp256k1.keyFromPrivate(hex, "hex");
+
+  if (type === "ed25519") {
+    // wrap the seed in a PKCS#8 structure, so node's crypto can use it
+    const der = Buffer.concat([Buffer.from("302e020100300506032b657004220420", "hex"), Buffer.from(hex, "hex")]);
+    const key = crypto.createPrivateKey({ key: der, format: "der", type: "pkcs8" });
+    return { privateKey: key, publicKey: crypto.createPublicKey(key) };
+  }
+
+  throw new Error("unknown ORACLE_KEY_TYPE " + type);
+}
+
+// print a new key when run directly (npm run oracle:keygen)
+if (require.main === module) {
+  const type = process.argv[2] || KEY_TYPE;
+  console.log("ORACLE_KEY_TYPE=" + type);
+  console.log("ORACLE_PRIVATE_KEY=" + generateKey(type));
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  isEnabled,
+  sign,
+  verify,
+  getPublicKey,
+  generateKey,
+};
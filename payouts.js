@@ -0,0 +1,121 @@
+/**
+ * Payout Matrix Module
+ *
+ * Loads the payout configuration (payout.json) and provides the matrix that is used for quotes.
+ * The configuration contains several matrix versions, each with
+ * - version: name of the version, recorded in every quote
+ * - effectiveFrom: date from which on the version is used for new quotes
+ * - cutoff: journeys with a higher delay probability (in percent) are not insured
+ * - products: the policy types, each with its matrix (probability -> payout)
+ *   and optional limits (minPayout, maxPayout)
+ * - pricing: optional pricing rules (method, riskLoading), see pricing.js
+ *
+ * The file is watched and reloaded when it changes, so the matrix can be updated
+ * without restarting the service. An invalid file is ignored and the previous
+ * configuration stays active.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validatePayoutConfig } = require("./validator");
+const log = require("./logger");
+require("dotenv").config();
+
+const PAYOUT_FILE = process.env.PAYOUT_FILE || path.join(__dirname, "payout.json");
+
+// how often the file is checked for changes
+const WATCH_INTERVAL = 5000;
+
+// current configuration, versions sorted by effectiveFrom
+let versions = load();
+
+// reload on changes
+fs.watchFile(PAYOUT_FILE, { interval: WATCH_INTERVAL }, reload).unref();
+
+/**
+ * VERSIONS
+ */
+
+/**
+ * Returns the matrix version that is effective at a date
+ * @param {Date} [date] - date of the quote (default: now)
+ * @returns {Object} matrix version
+ * @throws {Error} if no version is effective yet
+ */
+function getVersion(date = new Date()) {
+  const effective = versions.filter((version) => Date.parse(version.effectiveFrom) <= date.getTime());
+  if (effective.length === 0) throw new Error("no payout matrix effective at " + date.toISOString());
+  return effective[effective.length - 1];
+}
+
+/**
+ * Returns a matrix version by its name, e.g. to reproduce an old quote
+ * @param {string} name - name of the version
+ * @returns {Object|undefined} matrix version
+ */
+function findVersion(name) {
+  return versions.find((version) => version.version === name);
+}
+
+/**
+ * Returns all matrix versions
+ * @returns {Object[]} matrix versions sorted by effectiveFrom
+ */
+function listVersions() {
+  return versions;
+}
+
+/**
+ * PRODUCTS
+ */
+
+/**
+ * @param {Object} version - matrix version
+ * @returns {string[]} names of the products (policy types)
+ */
+function getProducts(version) {
+  return Object.keys(version.products);
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Reads and validates the payout configuration
+ * @returns {Object[]} matrix versions sorted by effectiveFrom
+ * @throws {Error} if the configuration is invalid
+ */
+function load() {
+  const config = JSON.parse(fs.readFileSync(PAYOUT_FILE, "utf8"));
+
+  const { error } = validatePayoutConfig(config);
+  if (error != undefined) {
+    throw new Error("invalid payout configuration: " + error.details.map((detail) => detail.message).join(", "));
+  }
+
+  return config.versions.sort((a, b) => Date.parse(a.effectiveFrom) - Date.parse(b.effectiveFrom));
+}
+
+/**
+ * Reloads the payout configuration, keeps the previous one if the file is invalid
+ */
+function reload() {
+  try {
+    versions = load();
+    log.info("reloaded payout matrix, versions: " + versions.map((version) => version.version).join(", "));
+  } catch (error) {
+    log.error("could not reload payout matrix", { error: error });
+  }
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  getVersion,
+  findVersion,
+  listVersions,
+  getProducts,
+  reload,
+};
@@ -0,0 +1,320 @@
+/**
+ * Policy Registry Module
+ *
+ * Keeps track of the quotes issued by /payouts and of the policies that are
+ * bound to them. Every entry runs through the lifecycle
+ *
+ *   quoted -> active -> awaiting-delay -> settled | expired
+ *
+ * Policies are persisted in a JSON file, so they survive a restart. Quotes that
+ * are not bound yet are only kept in memory and removed once they have expired.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { NotFoundError, ConflictError, ValidationError } = require("./errors");
+const { retrieveArrivalDate } = require("./journey");
+require("dotenv").config();
+
+// location of the registry file
+const STORE_FILE =
+  process.env.POLICY_STORE || path.join(__dirname, "data", "policies.json");
+
+// a quote has to be bound to a policy within this time (default 60 minutes)
+const QUOTE_TTL = (Number(process.env.QUOTE_TTL_MINUTES) || 60) * 60 * 1000;
+
+// lifecycle states
+const STATE_QUOTED = "quoted";
+const STATE_ACTIVE = "active";
+const STATE_AWAITING_DELAY = "awaiting-delay";
+const STATE_SETTLED = "settled";
+const STATE_EXPIRED = "expired";
+
+// allowed state transitions
+const TRANSITIONS = {
+  [STATE_QUOTED]: [STATE_ACTIVE, STATE_EXPIRED],
+  [STATE_ACTIVE]: [STATE_AWAITING_DELAY, STATE_EXPIRED],
+  [STATE_AWAITING_DELAY]: [STATE_SETTLED, STATE_EXPIRED],
+  [STATE_SETTLED]: [],
+  [STATE_EXPIRED]: [],
+};
+
+// in-memory copy of the registry, keyed by quote id
+const entries = load();
+
+// the bound entries keyed by policy id
+const policies = new Map([...entries.values()].map((entry) => [entry.policyId, entry]));
+
+/**
+ * PERSISTENCE
+ */
+
+/**
+ * Loads the registry from disk
+ * @returns {Map} policies keyed by quote id (empty if no file exists yet)
+ */
+function load() {
+  if (!fs.existsSync(STORE_FILE)) return new Map();
+  const stored = Object.entries(JSON.parse(fs.readFileSync(STORE_FILE, "utf8")));
+  return new Map(stored.filter(([, entry]) => entry.policyId !== null));
+}
+
+/**
+ * Writes the policies to disk, quotes that are not bound yet are left out
+ * The file is written to a temporary path first and renamed afterwards,
+ * so a crash while writing never leaves a truncated registry behind.
+ */
+function save() {
+  fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = STORE_FILE + ".tmp";
+  const stored = Object.fromEntries([...policies.values()].map((entry) => [entry.id, entry]));
+  fs.writeFileSync(tmp, JSON.stringify(stored, null, 2));
+  fs.renameSync(tmp, STORE_FILE);
+}
+
+/**
+ * Removes the quotes that have expired without being bound
+ */
+function prune() {
+  const now = Date.now();
+  for (const [id, entry] of entries) {
+    if (entry.policyId === null && Date.parse(entry.expiresAt) < now) entries.delete(id);
+  }
+}
+
+/**
+ * QUOTES
+ */
+
+/**
+ * Stores a new quote (in memory until it is bound), expired quotes are removed on the way
+ * @param {Object} quote - journey, journeyHash, type, probability, payout, the
+ * version of the payout matrix (matrixVersion), how the payout was calculated (pricing)
+ * and the origin of the request (source)
+ * @returns {Object} the stored quote including its id
+ */
+function createQuote({ journey, journeyHash, type, probability, payout, matrixVersion, pricing, source }) {
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    state: STATE_QUOTED,
+    journey: journey,
+    journeyHash: journeyHash,
+    type: type,
+    probability: Number(probability),
+    payout: payout,
+    matrixVersion: matrixVersion,
+    pricing: pricing,
+    source: source || null,
+    policyId: null,
+    partner: null,
+    delay: null,
+    eligible: null,
+    payoutDue: null,
+    legs: null,
+    missedConnections: null,
+    cancellation: null,
+    settlement: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + QUOTE_TTL).toISOString(),
+    history: [{ state: STATE_QUOTED, at: new Date(now).toISOString() }],
+  };
+
+  prune();
+  entries.set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * Returns a quote by its id
+ * Quotes that were not bound in time are moved to "expired" on access.
+ * @param {string} id - quote id
+ * @returns {Object|undefined} the quote
+ */
+function getQuote(id) {
+  const entry = entries.get(id);
+  if (entry && entry.state === STATE_QUOTED && Date.parse(entry.expiresAt) < Date.now()) {
+    transition(entry, STATE_EXPIRED, false);
+  }
+  return entry;
+}
+
+/**
+ * POLICIES
+ */
+
+/**
+ * Binds a quote to a policy and activates it
+ * @param {string} quoteId - id of the quote issued by /payouts
+ * @param {Object} options
+ * @param {string} [options.policyId] - id of the policy (e.g. the on-chain id), generated if omitted
+ * @param {string} [options.type] - chosen policy type, required if the quote was issued for "all"
+ * @param {string} [options.partner] - partner who sold the policy, notifications can be routed by it
+ * @returns {Object} the activated policy
+ * @throws {NotFoundError|ConflictError|ValidationError} if the quote cannot be bound
+ */
+function bindPolicy(quoteId, { policyId, type, partner } = {}) {
+  const entry = getQuote(quoteId);
+  if (!entry) throw new NotFoundError("unknown quote");
+  if (entry.state !== STATE_QUOTED) throw new ConflictError("quote is " + entry.state);
+
+  policyId = policyId ? String(policyId) : crypto.randomUUID();
+  if (getPolicy(policyId)) throw new ConflictError("policy id already in use");
+
+  // a quote for all types has to be narrowed down to one type
+  if (entry.type === "all") {
+    if (!type || !Object.hasOwn(entry.payout, type)) throw new ValidationError("type has to be one of the quoted types");
+    entry.type = type;
+    entry.payout = entry.payout[type];
+    entry.pricing = entry.pricing ? entry.pricing[type] : null;
+  } else if (type && type !== entry.type) {
+    throw new ValidationError("type does not match the quote");
+  }
+
+  entry.policyId = policyId;
+  entry.partner = partner || null;
+  policies.set(policyId, entry);
+  transition(entry, STATE_ACTIVE);
+  return entry;
+}
+
+/**
+ * Returns a policy by its id
+ * @param {string} policyId - id of the policy
+ * @returns {Object|undefined} the policy
+ */
+function getPolicy(policyId) {
+  return policies.get(policyId);
+}
+
+/**
+ * Moves a policy to another state
+ * Policies are only settled with their delay (see settlePolicy) and only wait for
+ * their delay once the scheduled arrival of their journey has passed.
+ * @param {string} policyId - id of the policy
+ * @param {string} state - target state
+ * @returns {Object} the updated policy
+ * @throws {NotFoundError|ConflictError} if the policy is unknown or the transition is not allowed
+ */
+function updatePolicyState(policyId, state) {
+  const entry = getPolicy(policyId);
+  if (!entry) throw new NotFoundError("unknown policy");
+
+  if (state === STATE_SETTLED) throw new ConflictError("policies are settled with their delay, use settlePolicy");
+  if (state === STATE_AWAITING_DELAY) {
+    const arrival = retrieveArrivalDate(entry.journey);
+    if (arrival.getTime() > Date.now()) {
+      throw new ConflictError("journey has not arrived yet, scheduled arrival is " + arrival.toISOString());
+    }
+  }
+
+  transition(entry, state);
+  return entry;
+}
+
+/**
+ * Returns all policies in a state
+ * @param {string} state - lifecycle state
+ * @returns {Object[]} the policies
+ */
+function listPolicies(state) {
+  return [...policies.values()].filter((entry) => entry.state === state);
+}
+
+/**
+ * Records a settlement attempt that did not yield a delay yet
+ * @param {string} policyId - id of the policy
+ * @param {Object} attempt
+ * @param {number} attempt.status - status code of the attempt (e.g. STATUS_MISSING_DELAY)
+ * @param {Date} attempt.nextAttemptAt - time of the next attempt
+ * @returns {Object} the updated policy
+ */
+function recordSettlementAttempt(policyId, { status, nextAttemptAt }) {
+  const entry = getPolicy(policyId);
+  if (!entry) throw new NotFoundError("unknown policy");
+
+  const attempts = entry.settlement ? entry.settlement.attempts : 0;
+  entry.settlement = {
+    attempts: attempts + 1,
+    lastStatus: status,
+    lastAttemptAt: new Date().toISOString(),
+    nextAttemptAt: nextAttemptAt.toISOString(),
+  };
+  save();
+  return entry;
+}
+
+/**
+ * Records the measured delay of a policy's journey and settles the policy
+ * @param {string} policyId - id of the policy
+ * @param {Object} result
+ * @param {number} result.delay - delay in minutes
+ * @param {boolean} result.eligible - true if the delay qualifies for the payout
+ * @param {Object[]} [result.legs] - per-leg delay breakdown
+ * @param {Object[]} [result.missedConnections] - missed connections of the journey
+ * @param {Object} [result.cancellation] - cancelled legs of the journey (see delay.js)
+ * @returns {Object} the settled policy
+ * @throws {NotFoundError|ConflictError} if the policy is unknown or cannot be settled
+ */
+function settlePolicy(policyId, { delay, eligible, legs, missedConnections, cancellation }) {
+  const entry = getPolicy(policyId);
+  if (!entry) throw new NotFoundError("unknown policy");
+
+  // check the lifecycle before touching the entry, a rejected settlement must not change it
+  const from = entry.state === STATE_ACTIVE ? STATE_AWAITING_DELAY : entry.state;
+  if (!TRANSITIONS[from].includes(STATE_SETTLED)) {
+    throw new ConflictError("cannot change state from " + entry.state + " to " + STATE_SETTLED);
+  }
+
+  if (entry.state === STATE_ACTIVE) transition(entry, STATE_AWAITING_DELAY, false);
+  entry.delay = delay;
+  entry.eligible = eligible;
+  entry.payoutDue = eligible ? entry.payout : 0;
+  entry.legs = legs || null;
+  entry.missedConnections = missedConnections || null;
+  entry.cancellation = cancellation || null;
+  transition(entry, STATE_SETTLED);
+  return entry;
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Changes the state of an entry if the lifecycle allows it
+ * @param {Object} entry - quote or policy
+ * @param {string} state - target state
+ * @param {boolean} [persist=true] - write the registry to disk afterwards
+ * @throws {ConflictError} if the transition is not allowed
+ */
+function transition(entry, state, persist = true) {
+  if (!(state in TRANSITIONS)) throw new ValidationError("unknown state " + state);
+  if (!TRANSITIONS[entry.state].includes(state)) {
+    throw new ConflictError("cannot change state from " + entry.state + " to " + state);
+  }
+
+  entry.state = state;
+  entry.history.push({ state: state, at: new Date().toISOString() });
+  if (persist) save();
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  STATE_QUOTED,
+  STATE_ACTIVE,
+  STATE_AWAITING_DELAY,
+  STATE_SETTLED,
+  STATE_EXPIRED,
+  createQuote,
+  getQuote,
+  bindPolicy,
+  getPolicy,
+  updatePolicyState,
+  listPolicies,
+  recordSettlementAttempt,
+  settlePolicy,
+};
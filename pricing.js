@@ -0,0 +1,102 @@
+/**
+ * Pricing Module
+ *
+ * Calculates the payout of a policy from a version of the payout matrix (see payouts.js).
+ *
+ * 1. base payout: the matrix maps probabilities (in percent) to payouts. With the method
+ *    "interpolate" (default) the payout is interpolated linearly between the two rows around
+ *    the probability, with "ceil" the probability is rounded up to the next row.
+ * 2. risk loading: the base payout is reduced by the riskLoading factor of the version
+ *    (e.g. 0.05 for a margin of 5%)
+ * 3. rounding: the payout is rounded to whole units
+ * 4. limits: the payout is kept within minPayout and maxPayout of the product
+ *
+ * Every step is returned as explanation, so each payout can be reproduced.
+ */
+
+// default pricing configuration of a matrix version
+const DEFAULT_PRICING = {
+  method: "interpolate",
+  riskLoading: 0,
+};
+
+/**
+ * Calculates the payout for a probability
+ * @param {Object} version - matrix version
+ * @param {string} product - policy type
+ * @param {number|string} probability - delay probability in percent
+ * @returns {Object} { payout, explanation }
+ */
+function price(version, product, probability) {
+  const pricing = { ...DEFAULT_PRICING, ...version.pricing };
+  const { matrix, minPayout, maxPayout } = version.products[product];
+  probability = Number(probability);
+
+  // 1. base payout
+  const rows = Object.keys(matrix).map(Number).sort((a, b) => a - b);
+  const upper = rows.find((row) => row >= probability) ?? rows[rows.length - 1];
+  const lower = pricing.method === "ceil" ? upper : [...rows].reverse().find((row) => row <= probability) ?? rows[0];
+
+  let base;
+  if (lower === upper) {
+    base = matrix[upper];
+  } else {
+    const share = (probability - lower) / (upper - lower);
+    base = matrix[lower] + (matrix[upper] - matrix[lower]) * share;
+  }
+
+  // 2. risk loading
+  const loaded = base * (1 - pricing.riskLoading);
+
+  // 3. rounding
+  let payout = Math.round(loaded);
+
+  // 4. limits
+  let limit = null;
+  if (minPayout !== undefined && payout < minPayout) {
+    payout = minPayout;
+    limit = "minPayout";
+  } else if (maxPayout !== undefined && payout > maxPayout) {
+    payout = maxPayout;
+    limit = "maxPayout";
+  }
+
+  return {
+    payout: payout,
+    explanation: {
+      matrixVersion: version.version,
+      probability: probability,
+      method: pricing.method,
+      rows: [
+        { probability: lower, payout: matrix[lower] },
+        { probability: upper, payout: matrix[upper] },
+      ],
+      base: round(base),
+      riskLoading: pricing.riskLoading,
+      loaded: round(loaded),
+      minPayout: minPayout ?? null,
+      maxPayout: maxPayout ?? null,
+      limit: limit,
+      payout: payout,
+    },
+  };
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * @param {number} value
+ * @returns {number} value rounded to four decimals (for explanations)
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  price,
+};
@@ -0,0 +1,106 @@
+/**
+ * Train Data Providers
+ *
+ * The service depends on two kinds of data:
+ * - real journey data: the actual times of a journey, used to calculate delays
+ *   interface: async getRealJourney(journey) -> journey with real times (zugfinder format)
+ * - delay probability: the probability of a delay, used to calculate payouts
+ *   interface: async getProbability(journey) -> probability in percent
+ *
+ * Which provider is used is configured with JOURNEY_PROVIDER (default: zugfinder)
+ * and PROBABILITY_PROVIDER (default: prediction). New data sources are added by
+ * registering them in the lists below.
+ *
+ * Failures of a provider are reported as TrainDataError or PredictionError (see errors.js),
+ * or as UpstreamUnavailableError while the circuit breaker of its upstream is open (see upstream.js).
+ */
+
+const { ServiceError, PredictionError, TrainDataError } = require('../errors')
+const log = require('../logger')
+const metrics = require('../metrics')
+require('dotenv').config()
+
+// available providers for real journey data
+const JOURNEY_PROVIDERS = {
+  zugfinder: () => require('./zugfinder'),
+  mock: () => require('./mock'),
+  simulator: () => require('./simulator')
+}
+
+// available providers for delay probabilities
+const PROBABILITY_PROVIDERS = {
+  prediction: () => require('./prediction'),
+  mock: () => require('./mock')
+}
+
+const journeyProvider = select(JOURNEY_PROVIDERS, process.env.JOURNEY_PROVIDER || 'zugfinder')
+const probabilityProvider = select(PROBABILITY_PROVIDERS, process.env.PROBABILITY_PROVIDER || 'prediction')
+
+log.info('using journey provider "' + journeyProvider.name +
+  '" and probability provider "' + probabilityProvider.name + '"')
+
+
+/***
+ * Request the real journey from the configured provider
+ * @param journey journey with all its legs
+ * @param options { provider } - name of another journey provider, e.g. 'simulator' for the test oracle
+ * @returns journey with the real times
+ * @throws {TrainDataError} if the provider fails
+ */
+async function getRealJourney(journey, { provider } = {}) {
+  const selected = provider ? select(JOURNEY_PROVIDERS, provider) : journeyProvider
+  try {
+    return await selected.getRealJourney(journey)
+  } catch (error) {
+    throw wrap(error, TrainDataError, 'train data request failed')
+  }
+}
+
+/***
+ * Request the delay probability from the configured provider
+ * The probability is recorded in the metrics, so its spread can be monitored.
+ * @param journey journey with all its legs
+ * @returns probability of a delay in percent
+ * @throws {PredictionError} if the provider fails
+ */
+async function getProbability(journey) {
+  let probability
+  try {
+    probability = await probabilityProvider.getProbability(journey)
+  } catch (error) {
+    throw wrap(error, PredictionError, 'prediction request failed')
+  }
+  metrics.recordProbability(probability)
+  return probability
+}
+
+
+/***
+ * @param error error of a provider
+ * @param Type error class of the provider kind
+ * @param message description of the failed request
+ * @returns typed error, errors that are typed already are kept
+ */
+function wrap(error, Type, message) {
+  if (error instanceof ServiceError) return error
+  return new Type(message + ': ' + error.message, { cause: error })
+}
+
+/***
+ * @param providers available providers
+ * @param name configured provider
+ * @returns the provider module
+ * @throws {Error} if the provider is unknown
+ */
+function select(providers, name) {
+  if (!(name in providers)) {
+    throw new Error('unknown provider "' + name + '", available: ' + Object.keys(providers).join(', '))
+  }
+  return providers[name]()
+}
+
+
+module.exports = {
+  getRealJourney,
+  getProbability
+}
@@ -0,0 +1,92 @@
+/**
+ * Mock Provider
+ *
+ * Fixture-driven provider for development and CI, it never leaves the process.
+ * The fixture file (MOCK_FIXTURES, default: fixtures/mock-provider.json) defines
+ * - probability: delay probability in percent by train, the highest one of all legs is used
+ * - delay: delay in minutes by train, every leg is shifted by the delay of its train
+ * - delay.missing: trains without real data (like zugfinder before the data is available)
+ * Trains that are not listed use the default values.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { shiftDateTime } = require('../journey')
+const log = require('../logger')
+require('dotenv').config()
+
+const FIXTURE_FILE = process.env.MOCK_FIXTURES || path.join(__dirname, '..', 'fixtures', 'mock-provider.json')
+
+
+/***
+ * @param journey journey with all its legs
+ * @returns probability of a delay in percent (two digits after comma)
+ */
+async function getProbability(journey) {
+  const { probability } = loadFixtures()
+
+  const prob = Math.max(...Object.values(journey).map(leg => lookup(probability, leg.train)))
+
+  log.info('mock probability delay: ' + prob.toFixed(2) + '%')
+  return prob.toFixed(2)
+}
+
+/***
+ * @param journey journey with all its legs
+ * @returns journey with the real times (shifted by the delay of each train),
+ * legs of trains without data are missing
+ */
+async function getRealJourney(journey) {
+  const { delay } = loadFixtures()
+  const missing = delay.missing || []
+
+  const response = {}
+  for (const key in journey) {
+    const leg = journey[key]
+    if (missing.includes(leg.train)) continue
+
+    const minutes = lookup(delay, leg.train)
+    const start = shiftDateTime(leg.start_date, leg.start_time, minutes)
+    const arrival = shiftDateTime(leg.arrival_date, leg.arrival_time, minutes)
+
+    response[key] = {
+      ...leg,
+      start_date: start.date,
+      start_time: start.time,
+      arrival_date: arrival.date,
+      arrival_time: arrival.time
+    }
+  }
+
+  return response
+}
+
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/***
+ * Reads the fixture file, it is read on every call so fixtures can be changed while running
+ * @returns fixtures
+ */
+function loadFixtures() {
+  return JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'))
+}
+
+/***
+ * @param values fixture values ({ default, trains })
+ * @param train train name
+ * @returns value for the train or the default value
+ */
+function lookup(values, train) {
+  const trains = values.trains || {}
+  return train in trains ? trains[train] : values.default
+}
+
+
+module.exports = {
+  name: 'mock',
+  getProbability,
+  getRealJourney
+}
@@ -0,0 +1,64 @@
+/**
+ * Prediction Provider
+ *
+ * Provides the delay probability of a journey from the prediction service.
+ */
+
+const { createClient } = require('../upstream')
+const { retrieveDepartureDate, toIsoString } = require('../journey')
+const log = require('../logger')
+require('dotenv').config()
+
+// timeouts, retries and circuit breaker of the requests (see upstream.js)
+const client = createClient('prediction')
+
+
+/***
+ * Request probability from the prediction endpoint
+ * @param requestBody journey with all its legs
+ * @returns probability of a delay in percent (two digits after comma)
+ */
+async function getProbability(requestBody) {
+
+  let amountLegs = Object.keys(requestBody).length
+  let arrivalLeg = requestBody['leg_' + amountLegs]
+
+  let req = {
+    "departure": requestBody.leg_1.start_stop,
+    "arrival": arrivalLeg.arrival_stop,
+    "departureDate": toIsoString(retrieveDepartureDate(requestBody))
+  }
+
+  // a prediction has no side effects, so it is safe to repeat
+  const prediction = await client.request(process.env.PREDICTION_URL + '/v2/predict', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(req)
+  }, { idempotent: true }).then((res) => {
+    if (res.status === 200) {
+      return res.json()
+    }
+    else {
+      throw new Error('prediction failed:' + res.status)
+    }
+  })
+  log.debug('prediction response', { prediction: prediction })
+
+  if (typeof prediction.delayProbability !== 'number')
+    throw new Error('prediction without delayProbability')
+
+  let prob = prediction["delayProbability"] * 100
+  prob = prob.toFixed(2) // two digits after comma
+
+  log.info('probability delay: ' + prob + '%')
+
+  return prob
+}
+
+
+module.exports = {
+  name: 'prediction',
+  getProbability
+}
@@ -0,0 +1,225 @@
+/**
+ * Simulator Provider
+ *
+ * Scripted stand-in for zugfinder, used by the test oracle (/delayOracleTesting)
+ * and by JOURNEY_PROVIDER=simulator. It answers like zugfinder, so the delay
+ * calculation (delay.js) runs unchanged against it.
+ *
+ * A scenario applies to one train on one date (the scheduled departure date of
+ * the leg) or, without date, to the train on every date:
+ * - { train, date, delay }: departure and arrival are shifted by delay minutes
+ * - { train, date, cancelled: true }: the leg is reported as cancelled, without real times
+ * - { train, date, missing: true }: zugfinder has no data for the leg yet (STATUS_MISSING_DELAY)
+ * - latency (ms) can be added to each of them, the response is sent that late.
+ *   The requests run through an upstream client (see upstream.js) like the ones
+ *   to zugfinder, so a latency above UPSTREAM_TIMEOUT_MS times out, is retried
+ *   and opens the circuit breaker of the upstream "simulator" like a slow zugfinder
+ * A missed connection is simulated by delaying the train of a leg beyond the
+ * departure of the next leg. Trains without scenario run on time.
+ *
+ * The scenarios are loaded from SIMULATOR_FIXTURES (default: fixtures/simulator.json)
+ * and can be changed at runtime with the admin endpoints /testing/simulator.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { Response } = require('node-fetch')
+const { shiftDateTime } = require('../journey')
+const { validateSimulatorFixtures } = require('../validator')
+const upstream = require('../upstream')
+const log = require('../logger')
+require('dotenv').config()
+
+const FIXTURE_FILE = process.env.SIMULATOR_FIXTURES || path.join(__dirname, '..', 'fixtures', 'simulator.json')
+
+// scenario without date, applies to the train on every date
+const EVERY_DATE = '*'
+
+// scenarios by key (see keyOf)
+let scenarios = load()
+
+// client of the simulated upstream, created on first use so it is only listed in /upstreams if used
+let client = null
+
+
+/***
+ * Requests the simulated zugfinder response of a journey
+ * @param journey journey with all its legs
+ * @returns journey with the real times like zugfinder, legs without data are missing
+ * and cancelled legs are { ...leg, cancelled: true } without real times
+ * @throws {Error} if the latency of a scenario exceeds the upstream timeout in every attempt
+ */
+async function getRealJourney(journey) {
+  if (!client) client = upstream.createClient('simulator', { fetch: simulate })
+
+  // like the request to zugfinder, it only reads data and is safe to repeat
+  return client.request('simulator://zugfinder', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(journey)
+  }, { idempotent: true }).then(res => {
+    if (!res.ok) throw new Error('simulator answered with ' + res.status)
+    return res.json()
+  })
+}
+
+/***
+ * @returns all scenarios [{ train, date, delay | cancelled | missing, latency }]
+ */
+function listScenarios() {
+  return [...scenarios.values()]
+}
+
+/***
+ * Stores a scenario, an existing scenario of the same train and date is replaced
+ * @param scenario validated scenario (see validateSimulation)
+ * @returns the scenario
+ */
+function setScenario(scenario) {
+  scenarios.set(keyOf(scenario.train, scenario.date), scenario)
+  log.info('set simulator scenario', { scenario: scenario })
+  return scenario
+}
+
+/***
+ * @param train train name
+ * @param date scheduled departure date, '*' for the scenario of every date
+ * @returns true if the scenario existed
+ */
+function deleteScenario(train, date) {
+  return scenarios.delete(keyOf(train, date === EVERY_DATE ? undefined : date))
+}
+
+/***
+ * Replaces all scenarios by the ones of the fixture file
+ * @returns amount of scenarios
+ */
+function reset() {
+  scenarios = load()
+  return scenarios.size
+}
+
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/***
+ * Transport of the simulated upstream, answers like zugfinder after the latency of the scenarios
+ * @param url not used, the journey is answered from the scenarios
+ * @param init fetch options with the journey as body and the abort signal of the upstream client
+ * @returns {Promise<Response>} response with the real journey
+ */
+function simulate(url, { body, signal }) {
+  const journey = JSON.parse(body)
+  const applied = Object.keys(journey).map(key => findScenario(journey[key]))
+
+  // the latest answer of all legs, zugfinder answers the journey at once
+  const latency = Math.max(0, ...applied.map(scenario => (scenario && scenario.latency) || 0))
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      log.info('simulated zugfinder response', { legs: applied.map(scenario => scenario ? describe(scenario) : 'on time') })
+      resolve(new Response(JSON.stringify(respond(journey, applied)), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }))
+    }, latency)
+
+    // the upstream client aborts the attempt on its timeout, like a fetch
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer)
+      const error = new Error('simulated request aborted')
+      error.name = 'AbortError'
+      reject(error)
+    }, { once: true })
+  })
+}
+
+/***
+ * @param journey journey with all its legs
+ * @param applied scenario of every leg (undefined for legs without scenario)
+ * @returns journey with the real times like zugfinder
+ */
+function respond(journey, applied) {
+  const response = {}
+  Object.keys(journey).forEach((key, i) => {
+    const leg = journey[key]
+    const scenario = applied[i] || { delay: 0 }
+
+    if (scenario.missing) return
+
+    if (scenario.cancelled) {
+      response[key] = { train: leg.train, start_stop: leg.start_stop, arrival_stop: leg.arrival_stop, cancelled: true }
+      return
+    }
+
+    const minutes = scenario.delay || 0
+    const start = shiftDateTime(leg.start_date, leg.start_time, minutes)
+    const arrival = shiftDateTime(leg.arrival_date, leg.arrival_time, minutes)
+
+    response[key] = {
+      ...leg,
+      start_date: start.date,
+      start_time: start.time,
+      arrival_date: arrival.date,
+      arrival_time: arrival.time
+    }
+  })
+
+  return response
+}
+
+/***
+ * @param leg scheduled leg
+ * @returns scenario of the train on the date of the leg, or of the train on every date
+ */
+function findScenario(leg) {
+  return scenarios.get(keyOf(leg.train, leg.start_date)) || scenarios.get(keyOf(leg.train))
+}
+
+/***
+ * @returns key of a scenario, e.g. 'ICE 1000|2025-10-15' or 'ICE 1000|*'
+ */
+function keyOf(train, date) {
+  return train + '|' + (date || EVERY_DATE)
+}
+
+/***
+ * @returns short description of a scenario for the log, e.g. 'ICE 1000 +75'
+ */
+function describe(scenario) {
+  const outcome = scenario.missing ? 'missing' : scenario.cancelled ? 'cancelled' : '+' + (scenario.delay || 0)
+  return scenario.train + ' ' + outcome + (scenario.latency ? ' after ' + scenario.latency + 'ms' : '')
+}
+
+/***
+ * Reads the scenarios of the fixture file, no scenarios if the file doesn't exist
+ * @returns scenarios by key
+ * @throws {Error} if the fixture file is invalid
+ */
+function load() {
+  const loaded = new Map()
+  if (!fs.existsSync(FIXTURE_FILE)) return loaded
+
+  const { error, value } = validateSimulatorFixtures(JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8')))
+  if (error != undefined) {
+    throw new Error('invalid simulator fixtures: ' + error.details.map(detail => detail.message).join(', '))
+  }
+
+  value.scenarios.forEach(scenario => loaded.set(keyOf(scenario.train, scenario.date), scenario))
+  log.info('loaded ' + loaded.size + ' simulator scenarios')
+  return loaded
+}
+
+
+module.exports = {
+  name: 'simulator',
+  getRealJourney,
+  listScenarios,
+  setScenario,
+  deleteScenario,
+  reset
+}
@@ -0,0 +1,40 @@
+/**
+ * Zugfinder Provider
+ *
+ * Provides the real journey (actual departure and arrival times) from zugfinder.net.
+ */
+
+const { createClient } = require('../upstream')
+require('dotenv').config()
+
+// data endpoint (zugfinder.net), ZUFINDER_URL is still accepted for older configurations
+const zugfinderURL = process.env.ZUGFINDER_URL || process.env.ZUFINDER_URL
+
+// timeouts, retries and circuit breaker of the requests (see upstream.js)
+const client = createClient('zugfinder')
+
+
+/***
+ * Request the real journey from zugfinder
+ * @param journey journey with all its legs
+ * @returns journey with the real times as returned by zugfinder
+ */
+async function getRealJourney(journey) {
+  // the request only reads data, so it is safe to repeat
+  return client.request(zugfinderURL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(journey)
+  }, { idempotent: true }).then(res => {
+    if (!res.ok) throw new Error('zugfinder answered with ' + res.status)
+    return res.json()
+  })
+}
+
+
+module.exports = {
+  name: 'zugfinder',
+  getRealJourney
+}
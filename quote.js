@@ -0,0 +1,196 @@
+/**
+ * Quote Module
+ *
+ * The pipeline behind /payouts: checks a journey, requests its delay probability
+ * and calculates the payout. Used by /payouts and the operator commands of the bot.
+ */
+
+const { validateType } = require('./validator')
+const { hashJourney, retrieveDepartureDate } = require('./journey')
+const providers = require('./providers')
+const classification = require('./classification')
+const cache = require('./cache')
+const payouts = require('./payouts')
+const pricing = require('./pricing')
+const exposure = require('./exposure')
+const policies = require('./policies')
+const notifier = require('./notifier')
+const { ValidationError } = require('./errors')
+const log = require('./logger')
+const {
+  STATUS_OK,
+  STATUS_SEV,
+  STATUS_TIME,
+  STATUS_PROBABILITY,
+  STATUS_EXPOSURE
+} = require('./status')
+
+// journey needs to be 1 day in the future and max 10 days in the future
+const TIME_MIN = 1
+const TIME_MAX = 10
+
+
+/**
+ * Calculates the payout for a journey and stores it as quote
+ * @param journey journey with all its legs, validated by the caller (validateJourney) and
+ * with the official station names (stations.normalizeJourney)
+ * @param type type of policy (a product of the payout matrix or "all")
+ * @param options.source origin of the request ("website", "contract" or "operator"), part of the notifications
+ * @returns {object} { status, payout, quoteId, matrixVersion, pricing } - payout is 0 if the status is not STATUS_OK,
+ * rejection describes the leg if a service is not insured (STATUS_SEV)
+ * @throws {ValidationError} if the type is invalid, details lists the errors (see validator.js)
+ * @throws {PredictionError} if the probability cannot be requested
+ */
+async function requestQuote(journey, type, { source = 'contract' } = {}) {
+  // payout matrix that is effective now, it is used for the whole request
+  const matrix = payouts.getVersion()
+  const products = payouts.getProducts(matrix)
+
+  // error handling, the journey is validated by the caller already
+  const errors = []
+
+  const { error, value } = validateType({ type: type }, products)
+  if (error != undefined) {
+    error.details.forEach(detail => {
+      errors.push({ leg: null, field: 'type', code: 'INVALID_TYPE', message: detail.message })
+    })
+  }
+
+  if (errors.length != 0) // errors found
+    throw new ValidationError('invalid request', { details: errors })
+
+
+
+  // check journey and return status code
+
+  let timeframe = checkTimeframe(journey) // returns true if journey is OUT OF timeframe
+  if (timeframe) {
+    // return status code
+    log.info('journey out of timeframe')
+    notifier.notify('rejection', { source: source, reason: 'out of timeframe', journey: journey })
+    return { status: STATUS_TIME, payout: 0 }
+  }
+
+  // check the services of all legs (rail replacement services, buses, ...)
+  const rejection = classification.checkJourney(journey)
+  if (rejection) {
+    log.info('journey rejected: ' + rejection.reason, { leg: rejection.leg, train: rejection.train, category: rejection.category })
+    notifier.notify('rejection', {
+      source: source,
+      reason: rejection.reason + ' (' + rejection.leg + ': ' + rejection.train + ')',
+      journey: journey
+    })
+    return { status: STATUS_SEV, payout: 0, rejection: rejection }
+  }
+
+  // probability from the cache, concurrent requests for the same journey share one prediction
+  let probability
+  let hash = hashJourney(journey)
+
+  try {
+    probability = await cache.getOrLoad(journey, () => providers.getProbability(journey))
+  } catch (error) {
+    log.error('could not request probability', { journeyHash: hash, error: error })
+    notifier.notify('prediction-failure', { source: source, error: error.message, journey: journey })
+    throw error
+  }
+
+  if (probability > matrix.cutoff) {
+    // return status code
+    log.info('probability too high (> ' + matrix.cutoff + '%)', { journeyHash: hash, probability: Number(probability) })
+    notifier.notify('rejection', {
+      source: source,
+      reason: 'probability too high (> ' + matrix.cutoff + '%)',
+      probability: probability,
+      journey: journey
+    })
+    return { status: STATUS_PROBABILITY, payout: 0 }
+  }
+
+  let payout
+  let explanation
+
+  // check if type == all
+  if (type == "all") {
+    // get all types
+    payout = {}
+    explanation = {}
+    products.forEach(product => {
+      const price = pricing.price(matrix, product, probability)
+      payout[product] = price.payout
+      explanation[product] = price.explanation
+    })
+  } else {
+    const price = pricing.price(matrix, type, probability)
+    payout = price.payout
+    explanation = price.explanation
+  }
+
+  // check exposure limits with the highest possible payout of the quote
+  const maxPayout = (type == "all") ? Math.max(...Object.values(payout)) : payout
+  const exceeded = exposure.checkLimits(journey, maxPayout)
+  if (exceeded) {
+    log.info('exposure limit reached', {
+      scope: exceeded.scope,
+      key: exceeded.key,
+      exposure: exceeded.exposure,
+      payout: exceeded.payout,
+      limit: exceeded.limit
+    })
+    notifier.notify('rejection', {
+      source: source,
+      reason: 'exposure limit reached (' + exceeded.scope + ' ' + exceeded.key + ')',
+      probability: probability,
+      journey: journey
+    })
+    return { status: STATUS_EXPOSURE, payout: 0 }
+  }
+
+  // remember the quote, so it can be bound to a policy later
+  const quote = policies.createQuote({
+    journey: journey,
+    journeyHash: hash,
+    type: type,
+    probability: probability,
+    payout: payout,
+    matrixVersion: matrix.version,
+    pricing: explanation,
+    source: source
+  })
+
+  notifier.notify('quote', {
+    source: source,
+    probability: probability,
+    payout: payout,
+    quoteId: quote.id,
+    journey: journey
+  })
+
+  return {
+    status: STATUS_OK,
+    payout: payout,
+    quoteId: quote.id,
+    matrixVersion: matrix.version,
+    pricing: explanation
+  }
+}
+
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+function checkTimeframe(journey) {
+  // check if journey is in timeframe
+  let now = new Date(Date.now())
+  let departure = retrieveDepartureDate(journey)
+  let diff = (departure - now) / (1000 * 60 * 60 * 24) // diff in days
+  if (diff <= TIME_MIN || diff >= TIME_MAX) {
+    return true // journey is out of timeframe
+  }
+}
+
+
+module.exports = {
+  requestQuote
+}
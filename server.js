@@ -1,74 +1,100 @@
+const crypto = require('crypto')
 const express = require('express')
 const rateLimit = require('express-rate-limit')
 const cors = require('cors')
-const fetch = require('node-fetch')
-const ParallelRequest = require('parallel-http-request')
-const LRU = require('lru-cache')
-const sha256 = require('js-sha256');
-const { validateLeg, validateType } = require("./validator")
+const {
+  validateJourney, validateBatch, validatePayoutsRequest, validateDelayRequest,
+  validateBindPolicy, validatePolicyState, validateScenario, validateSimulation
+} = require("./validator")
+const { hashJourney } = require('./journey')
+const { decode, encode, encodeResult } = require('./codec')
+const { requestDelay } = require('./delay')
+const { requestQuote } = require('./quote')
+const {
+  STATUS_OK,
+  STATUS_EXPOSURE
+} = require('./status')
 
 // dotenv
 require('dotenv').config()
 
-// import payouts
-const PAYOUTS = require('./payout.json');
+// import payout matrix
+const payouts = require('./payouts')
 
-// import telegram
-const telegram = require('./telegram'); // telegram bot
+// import statistics
+const stats = require('./stats')
+
+// import test oracle scenarios and the delay simulator
+const testing = require('./testing')
+const simulator = require('./providers/simulator')
+
+// import authentication of the testing endpoints
+const { requireRole, keepRawBody } = require('./auth')
+
+// import telegram operator commands
+require('./commands')
+
+// import policy registry
+const policies = require('./policies')
+
+// import exposure tracking
+const exposure = require('./exposure')
+
+// import oracle signing
+const oracle = require('./oracle')
+
+// import settlement worker
+const settlement = require('./settlement')
+
+// import station registry
+const stations = require('./stations')
+
+// import circuit breaker states of the upstreams
+const upstream = require('./upstream')
+
+// import structured logging and metrics
+const log = require('./logger')
+const metrics = require('./metrics')
+
+// import the OpenAPI document and the assets of its docs page
+const openapi = require('./openapi')
+const swaggerUi = require('swagger-ui-dist')
+
+// import typed errors
+const { ValidationError, NotFoundError, RateLimitError, toServiceError } = require('./errors')
 
 // express app 
 const app = express()
 
 // rate limiter config
+const RATE_LIMIT_MAX = 100 // limit each IP to 100 requests per windowMs
+
+// hits by IP, shared with /payouts/batch, which counts every journey as one request
+const limiterStore = new rateLimit.MemoryStore()
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: RATE_LIMIT_MAX,
+  store: limiterStore,
+  skip: (req) => req.path === '/metrics', // scraped every few seconds by Prometheus
+  handler: (req, res, next) => next(new RateLimitError('too many requests, please try again later'))
 })
 
 // register middleware
-app.use(express.json())
+app.use(identifyRequest)
+app.use(express.json({ verify: keepRawBody }))
+app.use(enterRequestContext)
 app.use(limiter)
 app.use(cors({ origin: '*', methods: ['GET', 'POST'], allowedHeaders: ['Content-Type'] }))
+app.use(countResponses)
 
 
 // global variables
 const PORT = 3000
-const CONST_DELAY = 60 // this amount of minutes is considered as a delay
 const AMOUNT_WEEKS = 6
-let BOOL_DELAY = false
-
 
-// status
-const STATUS_OK = 0; // all good
-const STATUS_SEV = 10; // journey contains RPS (rail replacement service)
-const STATUS_TIME = 20; // journey not in allowed timeframe
-const STATUS_PROBABILITY = 30 // probability is too high (> 40%)
-const STATUS_MISSING_DELAY = 40; // missing delay, queue request again
-const STATUS_ERROR = 100; // something else went wrong
-
-// journey needs to be 1 day in the future and max 10 days in the future
-const TIME_MIN = 1
-const TIME_MAX = 10
-
-
-// config for parallel-http-request
-const CONFIG_HTTP_PARALLEL = {
-  response: 'simple' // [optional] detail|simple|unirest, if empty then the response output is simple
-}
-
-const parallelRequest = new ParallelRequest(CONFIG_HTTP_PARALLEL)
-
-// data endpoint (zugfinder.net)
-const zugfinderURL = process.env.ZUFINDER_URL
-
-
-// cache config
-const options = {
-  max: 500, // max 500 entries
-  ttl: 1000 * 60 * 10, // time-to-live 10 minutes
-  ttlResolution: 1000 // check every 1s for stale entries (that died due to ttl)
-}
-const cache = new LRU(options)
+// journeys of a batch request that are priced at the same time
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3
 
 
 /**
@@ -81,11 +107,16 @@ const cache = new LRU(options)
  * @param object journey object in json or journey encoded in bytecode, type of policy (small, medium, large, all)
  * @returns payout for a type or all payouts (type = all)
  */
-app.post('/payouts', async (req, res) => {
-  console.log('[log] received request to endpoint /payouts')
+app.post('/payouts', abiResponse('payout'), signResponse('payout'), handle(async (req, res) => {
+  log.info('received request to endpoint /payouts')
+
+  // website and contract bodies, a body meant for /delay is rejected with a hint
+  const bodyErrors = validatePayoutsRequest(req.body, payouts.getProducts(payouts.getVersion()))
+  if (bodyErrors.length != 0)
+    throw new ValidationError('invalid request body', { details: bodyErrors })
 
   let journey
-  let type = req.body.type // must be "small", "medium", "large" or "all", is validated later
+  let type = req.body.type // "small", "medium", "large" or "all"
 
   // handle requests from website and contract
   if (req.body.type != "all") {
@@ -97,102 +128,79 @@ app.post('/payouts', async (req, res) => {
     journey = req.body.journey
   }
 
-  // check if body is empty
-  if (Object.keys(journey).length === 0 && journey.constructor === Object)
-    return res.send({ status: STATUS_ERROR, payout: 0 })
+  // check the journey before it is hashed
+  const errors = validateJourney(journey)
+  if (errors.length != 0)
+    throw new ValidationError('invalid journey', { details: errors })
 
-  // error handling
-  let messages = []
-  for (let leg in journey) {
-    const { error, value } = validateLeg(journey[leg])
-    if (error != undefined) {
-      error.details.forEach(detail => {
-        messages.push(detail.message)
-      })
-    }
-  }
-
-  const { error, value } = validateType({ type: type })
-  if (error != undefined) {
-    error.details.forEach(detail => {
-      messages.push(detail.message)
-    })
-  }
-
-  if (messages.length != 0) // errors found
-    return res.send({ status: STATUS_ERROR, payout: 0 })
+  // official station names, so all spellings share one cache entry
+  journey = stations.normalizeJourney(journey)
 
+  // identifies the journey in signed responses
+  res.locals.journeyHash = hashJourney(journey)
 
+  const result = await requestQuote(journey, type, { source: type == "all" ? 'website' : 'contract' })
 
-  // check journey and return status code
+  return res.send(result)
+}))
 
-  let timeframe = checkTimeframe(journey) // returns true if journey is OUT OF timeframe
-  if (timeframe) {
-    // return status code
-    console.log("[log] journey out of timeframe");
-    logRequest(999, "out of timeframe", journey) // log request
-    return res.send({ status: STATUS_TIME, payout: 0 })
-  }
+/**
+ * ENDPOINT /payouts/batch
+ * Prices several journeys at once, e.g. the alternative connections shown by the website.
+ * The journeys are priced concurrently (at most BATCH_CONCURRENCY at a time) and every
+ * journey counts as one request for the rate limit.
+ *
+ * @param {object} { journeys, type } - journey objects, type of policy (default "all")
+ * @returns {object} { status, results } - results in the order of the journeys, each like the
+ * response of /payouts or an error response (see handleErrors) with payout 0
+ */
+app.post('/payouts/batch', handle(async (req, res) => {
+  log.info('received request to endpoint /payouts/batch', { journeys: Array.isArray(req.body.journeys) ? req.body.journeys.length : null })
 
-  // check for rps (rail replacement service)
-  let rps = checkForRps(journey)
-  if (rps) {
-    console.log("[log] journey contains rail replacement service");
-    logRequest(999, "includes rail replacement service", journey) // log request
-    return res.send({ status: STATUS_SEV, payout: 0 })
+  const { error, value } = validateBatch(req.body, payouts.getProducts(payouts.getVersion()))
+  if (error != undefined) {
+    const details = error.details.map(detail => ({
+      leg: null,
+      field: detail.path.join('.'),
+      code: 'INVALID_BATCH',
+      message: detail.message
+    }))
+    throw new ValidationError('invalid batch', { details: details })
   }
 
-  // chache
-  let probability
-  let hash = sha256(JSON.stringify(journey))
-  let entry = cache.get(hash)
+  // the request itself was counted by the rate limiter already
+  await chargeRateLimit(req, res, value.journeys.length - 1)
 
-  if (entry) { // entry found
-    probability = entry
-    console.log('[log] found cache entry');
-  } else { // calculate probability and save to cache
+  const results = await mapConcurrent(value.journeys, BATCH_CONCURRENCY, async (journey) => {
     try {
-      probability = await requestProbability(journey)
-    } catch (error) {
-      console.error(error)
-      return res.send({ status: STATUS_ERROR, payout: 0 })
+      const errors = validateJourney(journey)
+      if (errors.length != 0)
+        throw new ValidationError('invalid journey', { details: errors })
+
+      return await requestQuote(stations.normalizeJourney(journey), value.type, { source: 'website' })
+    } catch (err) {
+      const error = toServiceError(err)
+      logError(req, error)
+      return { ...error.toJSON(), payout: 0 }
     }
-    cache.set(hash, probability)
-    console.log('[log] added cache entry');
-  }
-
-  // log request only if it comes from website
-  if (req.body.type == "all") {
-    logRequest(probability, "ok", journey)
-  }
-
-  if (probability > 40) {
-    // return status code
-    console.log("[log] probability too high (> 40%)");
-    return res.send({ status: STATUS_PROBABILITY, payout: 0 })
-  }
+  })
 
-  let payout
-  probability = Math.ceil(probability) // round up
+  return res.send({ status: STATUS_OK, results: results })
+}))
 
-  // check if type == all
-  if (type == "all") {
-    // get all types
-    payout = {
-      small: PAYOUTS.small[probability],
-      medium: PAYOUTS.medium[probability],
-      large: PAYOUTS.large[probability]
-    }
-  } else {
-    payout = PAYOUTS[type][probability]
-  }
-
-  let result = {
+/**
+ * ENDPOINT /payouts/versions
+ * Returns all versions of the payout matrix, so every quote can be reproduced
+ * with the version recorded in it (matrixVersion)
+ *
+ * @returns {object} { status, active, versions }
+ */
+app.get('/payouts/versions', async (req, res) => {
+  return res.send({
     status: STATUS_OK,
-    payout: payout
-  }
-
-  return res.send(result)
+    active: payouts.getVersion().version,
+    versions: payouts.listVersions()
+  })
 })
 
 /**
@@ -201,8 +209,13 @@ app.post('/payouts', async (req, res) => {
  * @param {object} object including journey
  * @returns {object} { "delay": 0 }
  */
-app.post('/delay', async (req, res) => {
-  console.log('[log] received request to endpoint /delay')
+app.post('/delay', abiResponse('delay'), signResponse('delay'), handle(async (req, res) => {
+  log.info('received request to endpoint /delay')
+
+  // website and contract bodies, a body meant for /payouts is rejected with a hint
+  const bodyErrors = validateDelayRequest(req.body, payouts.getProducts(payouts.getVersion()))
+  if (bodyErrors.length != 0)
+    throw new ValidationError('invalid request body', { details: bodyErrors })
 
   let journey
 
@@ -216,330 +229,602 @@ app.post('/delay', async (req, res) => {
     journey = req.body
   }
 
-  // check if body is empty
-  if (Object.keys(journey).length === 0 && journey.constructor === Object)
-    return res.send({ status: STATUS_ERROR, delay: 0 })
-
   // error handling
-  let messages = []
-  for (let leg in journey) {
-    const { error, value } = validateLeg(journey[leg])
-    if (error != undefined) {
-      error.details.forEach(detail => {
-        messages.push(detail.message)
-      })
-    }
-  }
-
-  if (messages.length != 0) // errors found
-    return res.send({ status: STATUS_ERROR, delay: 0 })
+  const errors = validateJourney(journey)
+  if (errors.length != 0) // errors found
+    throw new ValidationError('invalid journey', { details: errors })
 
+  // official station names
+  journey = stations.normalizeJourney(journey)
 
+  // identifies the journey in signed responses
+  res.locals.journeyHash = hashJourney(journey)
 
-  // save scheduled arrival date
-  const scheduledArrivalDate = retrieveArrivalDate(journey)
+  const result = await requestDelay(journey)
 
-  // request real journey from zugfinder
-  const response = await fetch(zugfinderURL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(journey)
-  }).then(res => res.json())
+  return res.send(result)
+}))
 
+/**
+ * ENDPOINT /stations
+ * Autocomplete of station names for the website
+ *
+ * @param {string} q part of a station name (query parameter)
+ * @param {number} limit maximum amount of stations (query parameter, default 10, 1 to 50)
+ * @returns {object} { status, stations: [{ name, eva }] }
+ */
+app.get('/stations', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q : ''
+  const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || 10, 50))
 
-  console.log('[log] received response from zugfinder; calculating delay..')
+  return res.send({ status: STATUS_OK, stations: stations.search(query, limit) })
+})
 
-  // save real arrival date
-  const realArrivalDate = retrieveArrivalDate(response)
+/**
+ * ENDPOINT /encode
+ * Encodes a journey object to the string format of the contract (counterpart of decode)
+ *
+ * @param {object} journey object
+ * @returns {object} { status, journey } - journey encoded for the contract
+ */
+app.post('/encode', handle(async (req, res) => {
+  return res.send({ status: STATUS_OK, journey: encode(req.body) })
+}))
 
-  let delay = calculateDelayMinutes(scheduledArrivalDate, realArrivalDate)
+/**
+ * ENDPOINT /oracle/pubkey
+ * Returns the public key (and address) responses are signed with
+ *
+ * @returns {object} { status, keyType, publicKey, address }
+ */
+app.get('/oracle/pubkey', handle(async (req, res) => {
+  if (!oracle.isEnabled())
+    throw new NotFoundError('no oracle key configured')
 
-  // if train was early set delay to 0
-  if (delay < 0) {
-    delay = 0
-  }
+  return res.send({ status: STATUS_OK, ...oracle.getPublicKey() })
+}))
 
-  let result = {
+/**
+ * ENDPOINT /exposure
+ * Returns the current exposure (sum of the payouts of accepted quotes) and its limits
+ *
+ * @returns {object} { status, exposure: { train, day, total }, limits }
+ */
+app.get('/exposure', async (req, res) => {
+  return res.send({
     status: STATUS_OK,
-    delay: delay
-  }
+    exposure: exposure.getExposure(),
+    limits: exposure.getLimits()
+  })
+})
 
-  console.log('[log] calculated delay in minutes: ' + delay)
-  return res.send(result)
+/**
+ * ENDPOINT /upstreams
+ * Returns the circuit breaker state of every upstream (prediction, zugfinder) for monitoring
+ *
+ * @returns {object} { status, upstreams: { name: { state, failures, openedAt, retryAt, calls, ... } } }
+ */
+app.get('/upstreams', async (req, res) => {
+  return res.send({ status: STATUS_OK, upstreams: upstream.getStates() })
 })
 
 /**
- * Endpoint for testing
- * Return 62 or 2 as delay, depeding on BOOL_DELAY
+ * ENDPOINT /quotes/:id
+ * Returns a quote issued by /payouts
+ *
+ * @param id quote id
+ * @returns {object} the quote including its lifecycle state
  */
-app.post('/delayOracleTesting', async (req, res) => {
+app.get('/quotes/:id', handle(async (req, res) => {
+  const quote = policies.getQuote(req.params.id)
+  if (!quote)
+    throw new NotFoundError('unknown quote')
 
-  let delay
-  if (BOOL_DELAY) {
-    delay = 62
-  } else {
-    delay = 2
-  }
+  return res.send({ status: STATUS_OK, quote: quote })
+}))
 
-  let result = {
-    status: STATUS_OK,
-    delay: delay
+/**
+ * ENDPOINT /policies
+ * Binds a quote to a policy and activates it.
+ * Quotes for type "all" have to be narrowed down to one type.
+ *
+ * @param {object} { quoteId, type, policyId, partner } - policyId is optional and generated if omitted
+ * @returns {object} the activated policy
+ */
+app.post('/policies', handle(async (req, res) => {
+  log.info('received request to endpoint /policies')
+
+  const body = validBody(validateBindPolicy(req.body), 'invalid request body')
+
+  // the exposure might have grown since the quote was issued
+  const quote = policies.getQuote(body.quoteId)
+  if (quote && quote.state === policies.STATE_QUOTED) {
+    const payout = (quote.type == "all") ? quote.payout[body.type] : quote.payout
+    const exceeded = exposure.checkLimits(quote.journey, Number(payout) || 0)
+    if (exceeded) {
+      log.info('exposure limit reached, quote ' + quote.id + ' cannot be bound', { scope: exceeded.scope })
+      return res.send({ status: STATUS_EXPOSURE, message: 'exposure limit reached (' + exceeded.scope + ')' })
+    }
   }
 
-  return res.send(result)
-})
+  const policy = policies.bindPolicy(body.quoteId, {
+    policyId: body.policyId,
+    type: body.type,
+    partner: body.partner
+  })
+  log.info('bound quote ' + policy.id + ' to policy ' + policy.policyId)
+  return res.send({ status: STATUS_OK, policy: policy })
+}))
 
 /**
- * Endpoint for testing
- * Change value of BOOL_DELAY
+ * ENDPOINT /policies/:id
+ * Returns a policy
+ *
+ * @param id policy id
+ * @returns {object} the policy including its lifecycle state
  */
-app.post('/changeDelay', async (req, res) => {
-  if (req.body.delay === true) {
-    BOOL_DELAY = true
-    console.log('[info] changed delay to true')
-    return res.send('changed delay to true')
-  } else if (req.body.delay === false) {
-    BOOL_DELAY = false
-    console.log('[info] changed delay to false')
-    return res.send('changed delay to false')
-  } else {
-    return res.send('delay has to be true or false')
-  }
+app.get('/policies/:id', handle(async (req, res) => {
+  const policy = policies.getPolicy(req.params.id)
+  if (!policy)
+    throw new NotFoundError('unknown policy')
+
+  return res.send({ status: STATUS_OK, policy: policy })
+}))
+
+/**
+ * ENDPOINT /policies/:id/state
+ * Moves a policy to another lifecycle state (e.g. "awaiting-delay" or "expired"), role oracle
+ *
+ * @param {object} { state }
+ * @returns {object} the updated policy
+ */
+app.post('/policies/:id/state', requireRole('oracle'), handle(async (req, res) => {
+  const { state } = validBody(validatePolicyState(req.body), 'invalid request body')
+  const policy = policies.updatePolicyState(req.params.id, state)
+  log.info('policy ' + policy.policyId + ' is now ' + policy.state)
+  return res.send({ status: STATUS_OK, policy: policy })
+}))
+
+/**
+ * ENDPOINT /policies/:id/settle
+ * Calculates the delay of the insured journey and settles the policy with it,
+ * so the delay is tied to the payout the policy was quoted with. Role oracle,
+ * policies can only be settled after the scheduled arrival of their journey.
+ *
+ * @param id policy id
+ * @returns {object} the settled policy
+ */
+app.post('/policies/:id/settle', requireRole('oracle'), handle(async (req, res) => {
+  log.info('received request to endpoint /policies/:id/settle')
+
+  const policy = policies.getPolicy(req.params.id)
+  if (!policy)
+    throw new NotFoundError('unknown policy')
+
+  const result = await settlement.settle(policy)
+  return res.send({ status: result.status, policy: policy })
+}))
+
+/**
+ * ENDPOINT /metrics
+ * Prometheus metrics of the service (see metrics.js)
+ *
+ * @returns metrics in the Prometheus text format
+ */
+app.get('/metrics', handle(async (req, res) => {
+  res.set('Content-Type', metrics.contentType)
+  return res.send(await metrics.getMetrics())
+}))
+
+/**
+ * ENDPOINT /openapi.json
+ * OpenAPI document of all endpoints, the request bodies are generated from the validation schemas
+ *
+ * @returns {object} OpenAPI 3.1 document
+ */
+app.get('/openapi.json', async (req, res) => {
+  return res.send(openapi.buildDocument())
 })
 
 /**
- * Endpoint for testing
- * Return value of BOOL_DELAY
+ * ENDPOINT /docs
+ * Interactive docs page (Swagger UI) of the OpenAPI document
  */
-app.get('/getDelay', async (req, res) => {
-  console.log('[info] BOOL_DLEAY is currently set to: ' + BOOL_DELAY)
-  return res.send('BOOL_DLEAY is currently set to: ' + BOOL_DELAY)
+app.get('/docs', async (req, res) => {
+  return res.type('html').send(openapi.docsPage())
 })
+app.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath()))
 
+/**
+ * Endpoint for testing (TESTING_MODE=on, role oracle)
+ * Returns the delay of the scenario of the journey or test session (header X-Test-Session),
+ * without scenario the delay of the journey is calculated like /delay, with the delay
+ * simulator instead of zugfinder (see providers/simulator.js)
+ *
+ * @param {object} journey encoded ({ journey }) or as object, optional if a session scenario applies
+ * @returns {object} { status, delay, scenario } - scenario is 'journey', 'session' or 'simulator',
+ * with the simulator also legs and missedConnections like /delay
+ */
+app.post('/delayOracleTesting', testingOnly, requireRole('oracle'), abiResponse('delay'), handle(async (req, res) => {
+  const session = req.get('X-Test-Session')
+  const sent = 'journey' in req.body ? req.body.journey : (req.body.leg_1 ? req.body : null)
 
-// START SERVER
-module.exports = app.listen(PORT, () =>
-  console.log(`Server started! Listening on port ${PORT}!`)
-)
+  // the journey may only be left out for the scenario of a test session
+  const journey = (sent !== null || !session) ? testJourney(sent) : null
 
+  const scenario = testing.findScenario({
+    journeyHash: journey ? testJourneyHash(journey) : undefined,
+    session: session
+  })
+  if (scenario) return res.send({ status: STATUS_OK, ...scenario })
+
+  if (!journey)
+    throw new ValidationError('invalid journey', { details: validateJourney(journey) })
 
+  const result = await requestDelay(stations.normalizeJourney(journey), { provider: 'simulator' })
 
+  return res.send({ ...result, scenario: 'simulator' })
+}))
 
 /**
- * HELPER FUNCTIONS
+ * ENDPOINT /testing/scenarios (TESTING_MODE=on, role admin)
+ * Lists the scenarios of the test oracle
+ *
+ * @returns {object} { status, scenarios: [{ scope, key, delay, expiresAt }] }
  */
+app.get('/testing/scenarios', testingOnly, requireRole('admin'), async (req, res) => {
+  return res.send({ status: STATUS_OK, scenarios: testing.listScenarios() })
+})
 
 /**
- * decodes bytecode to a journey object
- * @param _encoded bytecode
- * @returns journey object that according to zugfinder API
+ * ENDPOINT /testing/scenarios (TESTING_MODE=on, role admin)
+ * Sets the delay the test oracle returns for a journey or a test session
+ *
+ * @param {object} { journeyHash | journey | session, delay }
+ * @returns {object} { status, scenario: { scope, key, delay, expiresAt } }
  */
-function decode(_encoded) {
-  // encoded looks like: IC 705;Leipzig HBF;...
-  const values = _encoded.split(';')
+app.post('/testing/scenarios', testingOnly, requireRole('admin'), handle(async (req, res) => {
+  const value = validBody(validateScenario(req.body), 'invalid scenario')
 
-  if ((values.length % 7) != 0)
-    return {}
+  const scenario = value.session
+    ? testing.setScenario(testing.SCOPE_SESSION, value.session, value.delay)
+    : testing.setScenario(testing.SCOPE_JOURNEY, value.journeyHash || testJourneyHash(testJourney(value.journey)), value.delay)
 
-  const amountLegs = values.length / 7 // one leg has 7 values
+  return res.send({ status: STATUS_OK, scenario: scenario })
+}))
 
-  const legs = []
+/**
+ * ENDPOINT /testing/scenarios/:scope/:key (TESTING_MODE=on, role admin)
+ * Removes a scenario of the test oracle
+ *
+ * @param scope 'journey' or 'session'
+ * @param key journey hash or session id
+ * @returns {object} { status }
+ */
+app.delete('/testing/scenarios/:scope/:key', testingOnly, requireRole('admin'), handle(async (req, res) => {
+  if (![testing.SCOPE_JOURNEY, testing.SCOPE_SESSION].includes(req.params.scope) ||
+      !testing.deleteScenario(req.params.scope, req.params.key))
+    throw new NotFoundError('unknown scenario')
 
-  // build legs
-  for (let i = 0; i < amountLegs; i++) {
-    const j = i * 7
-    const obj = {
-      train: values[j],
-      start_stop: values[j + 1],
-      start_time: values[j + 2],
-      start_date: values[j + 3],
-      arrival_stop: values[j + 4],
-      arrival_time: values[j + 5],
-      arrival_date: values[j + 6]
-    }
-    legs.push(obj)
-  }
+  return res.send({ status: STATUS_OK })
+}))
 
-  // journey object that can be sent to zugfinder
-  const journey = {}
+/**
+ * ENDPOINT /testing/simulator (TESTING_MODE=on, role admin)
+ * Lists the scenarios of the delay simulator
+ *
+ * @returns {object} { status, scenarios: [{ train, date, delay | cancelled | missing, latency }] }
+ */
+app.get('/testing/simulator', testingOnly, requireRole('admin'), async (req, res) => {
+  return res.send({ status: STATUS_OK, scenarios: simulator.listScenarios() })
+})
 
-  for (let i = 0; i < amountLegs; i++) {
-    journey['leg_' + (i + 1)] = legs[i]
-  }
+/**
+ * ENDPOINT /testing/simulator (TESTING_MODE=on, role admin)
+ * Sets the outcome of a train on a date (on every date without date)
+ *
+ * @param {object} { train, date, delay | cancelled | missing, latency }
+ * @returns {object} { status, scenario }
+ */
+app.post('/testing/simulator', testingOnly, requireRole('admin'), handle(async (req, res) => {
+  const value = validBody(validateSimulation(req.body), 'invalid simulator scenario')
 
-  return journey
-}
+  return res.send({ status: STATUS_OK, scenario: simulator.setScenario(value) })
+}))
 
-function checkTimeframe(journey) {
-  // check if journey is in timeframe
-  let now = new Date(Date.now())
-  let departure = retrieveDepartureDate(journey)
-  let diff = (departure - now) / (1000 * 60 * 60 * 24) // diff in days
-  if (diff <= TIME_MIN || diff >= TIME_MAX) {
-    return true // journey is out of timeframe
-  }
-}
+/**
+ * ENDPOINT /testing/simulator (TESTING_MODE=on, role admin)
+ * Replaces all scenarios of the delay simulator by the ones of the fixture file
+ *
+ * @returns {object} { status, scenarios } - amount of scenarios
+ */
+app.delete('/testing/simulator', testingOnly, requireRole('admin'), handle(async (req, res) => {
+  return res.send({ status: STATUS_OK, scenarios: simulator.reset() })
+}))
+
+/**
+ * ENDPOINT /testing/simulator/:train/:date (TESTING_MODE=on, role admin)
+ * Removes a scenario of the delay simulator
+ *
+ * @param train train name
+ * @param date scheduled departure date, '*' for the scenario of every date
+ * @returns {object} { status }
+ */
+app.delete('/testing/simulator/:train/:date', testingOnly, requireRole('admin'), handle(async (req, res) => {
+  if (!simulator.deleteScenario(req.params.train, req.params.date))
+    throw new NotFoundError('unknown simulator scenario')
 
-function checkForRps(journey) {
-  for (i in journey) {
-    let leg = journey[i]
-    let name = leg.train.toLowerCase()
+  return res.send({ status: STATUS_OK })
+}))
 
-    if (name.includes("bus")) {
-      return true
-    }
-  }
-  return false
-}
+// unknown endpoints
+app.use((req, res, next) => {
+  next(new NotFoundError('unknown endpoint ' + req.method + ' ' + req.path))
+})
 
+// errors of all endpoints
+app.use(handleErrors)
 
-/***
- * @param _journey journey with all its legs
- * @returns arrival time as date object
- */
-function retrieveArrivalDate(_journey) {
-  // get last leg of the journey
-  const amountLegs = Object.keys(_journey).length
-  const arrivalLeg = _journey['leg_' + amountLegs]
 
-  if (arrivalLeg) {
-    // create arrival date object
-    const arrivalDate = new Date(arrivalLeg.arrival_date)
+// START SERVER
+module.exports = app.listen(PORT, () => {
+  log.info(`Server started! Listening on port ${PORT}!`)
+  settlement.start()
+})
 
-    // merge time from field arrival_time
-    const arrivalTime = arrivalLeg.arrival_time
-    arrivalDate.setHours(arrivalTime.split(':')[0])
-    arrivalDate.setMinutes(arrivalTime.split(':')[1])
 
-    // return the date object
-    return arrivalDate
-  } else {
-    throw new Error('Missing Data')
+
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Wraps an async endpoint, so thrown errors reach the error handler
+ * @param fn async (req, res) => response
+ */
+function handle(fn) {
+  return (req, res, next) => {
+    fn(req, res).catch(next)
   }
 }
 
-/***
- * @param _journey journey with all its legs
- * @returns departure time as date object
+/**
+ * Error handler of all endpoints
+ * Responds with { status, code, message, retryable, details } and the HTTP status of the
+ * error (see errors.js). The contract endpoints with a value field (payout, delay) report
+ * it as 0 and keep answering with HTTP 200, the oracle only reads the status of the body.
  */
-function retrieveDepartureDate(_journey) {
-  // get first leg of the journey
-  const departureLeg = _journey['leg_1']
-
-  if (departureLeg) {
-    // create arrival date object
-    const departureDate = new Date(departureLeg.start_date)
+function handleErrors(err, req, res, next) {
+  const error = toServiceError(err)
+  logError(req, error)
 
-    // merge time from field arrival_time
-    const departureTime = departureLeg.start_time
-    departureDate.setHours(departureTime.split(':')[0])
-    departureDate.setMinutes(departureTime.split(':')[1])
+  if (res.headersSent) return next(err)
 
-    // return the date object
-    return departureDate
-  } else {
-    throw new Error('Missing Data')
+  const body = error.toJSON()
+  if (res.locals.field) {
+    body[res.locals.field] = 0
+    return res.status(200).json(body)
   }
+
+  return res.status(error.httpStatus).json(body)
 }
 
-/***
-  * @param _date date object
-  * @returns date as string in format YYYY-MM-DDThh:mm:ss+hh:mm
-  * including timezone offset!
-  */
-function toIsoString(date) {
-  var tzo = -date.getTimezoneOffset(),
-    dif = tzo >= 0 ? '+' : '-',
-    pad = function (num) {
-      return (num < 10 ? '0' : '') + num;
-    };
-
-  return date.getFullYear() +
-    '-' + pad(date.getMonth() + 1) +
-    '-' + pad(date.getDate()) +
-    'T' + pad(date.getHours()) +
-    ':' + pad(date.getMinutes()) +
-    ':' + pad(date.getSeconds()) +
-    dif + pad(Math.floor(Math.abs(tzo) / 60)) +
-    ':' + pad(Math.abs(tzo) % 60);
+/**
+ * @param result result of a Joi validator ({ error, value })
+ * @param message message of the error
+ * @returns the validated value
+ * @throws {ValidationError} with the problems as details [{ field, message }]
+ */
+function validBody({ error, value }, message) {
+  if (error != undefined) {
+    const details = error.details.map(detail => ({ field: detail.path.join('.') || null, message: detail.message }))
+    throw new ValidationError(message, { details: details })
+  }
+  return value
 }
 
+/**
+ * Middleware of the testing endpoints, they don't exist unless TESTING_MODE=on
+ */
+function testingOnly(req, res, next) {
+  if (!testing.isEnabled()) return next(new NotFoundError('unknown endpoint ' + req.method + ' ' + req.path))
+  next()
+}
 
-/***
- * @param _scheduledDate
- * @param _realDate
- * @returns delay in minutes
+/**
+ * @param journey journey encoded for the contract or as object
+ * @returns the journey object
+ * @throws {ValidationError} if the journey is invalid
  */
-function calculateDelayMinutes(_scheduledDate, _realDate) {
-  // check for 0:00 transition (bug in zugfinder API)
-  // We assume no train arrives earlier than 4 hours
-  // so we substract 4 hours from the scheduled arrival time to ignore early trains
-  if (_realDate.getTime() < (_scheduledDate.getTime() - 4 * 60 * 60 * 1000)) {
-    console.log('[info] detected 0:00 transition with date error - fixing date...')
-    _realDate.setDate(_realDate.getDate() + 1)
-  }
+function testJourney(journey) {
+  if (typeof journey === 'string') journey = decode(journey)
 
-  // calculate difference
-  const diff = (_realDate - _scheduledDate)
+  const errors = validateJourney(journey)
+  if (errors.length != 0)
+    throw new ValidationError('invalid journey', { details: errors })
 
-  // return in minutes
-  return (diff / 1000 / 60)
+  return journey
+}
+
+/**
+ * @param journey valid journey object (see testJourney)
+ * @returns hash of the journey with the official station names, as used by /payouts and /delay
+ */
+function testJourneyHash(journey) {
+  return hashJourney(stations.normalizeJourney(journey))
 }
 
-/***
- * Request probability from the prediction endpoint
- * @param requestBody journey with all its legs
- * @returns an object: { "probability": <calculted probability> }
+/**
+ * Logs an error, errors of the service itself (5xx) with their cause
+ * @param req request the error occurred in
+ * @param error typed error (see errors.js)
  */
-async function requestProbability(requestBody) {
+function logError(req, error) {
+  // requestId is passed explicitly, errors of the body parser occur outside the request context
+  const fields = { requestId: req.id, method: req.method, path: req.path, code: error.code }
 
-  let amountLegs = Object.keys(requestBody).length
-  let arrivalLeg = requestBody['leg_' + amountLegs]
+  if (error.httpStatus >= 500) {
+    log.error(error.message, { ...fields, error: error.cause || error })
+  } else {
+    log.info(error.message, fields)
+  }
+}
+
+/**
+ * Counts further requests of the client for the rate limit, e.g. the journeys of a batch
+ * The request is rejected as a whole if they exceed the limit, the hits are taken back then.
+ * @param amount amount of further requests
+ * @throws {RateLimitError} if the limit is exceeded
+ */
+async function chargeRateLimit(req, res, amount) {
+  let hits = req.rateLimit.current
+  for (let i = 0; i < amount; i++) {
+    hits = (await limiterStore.increment(req.ip)).totalHits
+  }
 
-  let req = {
-    "departure": requestBody.leg_1.start_stop,
-    "arrival": arrivalLeg.arrival_stop,
-    "departureDate": toIsoString(retrieveDepartureDate(requestBody))
+  if (hits > RATE_LIMIT_MAX) {
+    for (let i = 0; i < amount; i++) await limiterStore.decrement(req.ip)
+    throw new RateLimitError('batch of ' + (amount + 1) + ' journeys exceeds the rate limit, ' +
+      Math.max(RATE_LIMIT_MAX - req.rateLimit.current, 0) + ' requests left')
   }
 
-  const prediction = await fetch(process.env.PREDICTION_URL + '/v2/predict', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(req)
-  }).then((res) => {
-    if (res.status === 200) {
-      return res.json()
-    }
-    else {
-      throw new Error('prediction failed:' + res.status)
-    }
-  })
-  console.log(prediction)
+  res.setHeader('X-RateLimit-Remaining', RATE_LIMIT_MAX - hits)
+}
 
-  let prob = prediction["delayProbability"] * 100
-  console.log(prob)
-  prob = prob.toFixed(2) // two digits after comma
+/**
+ * Maps items with an async function, at most limit calls run at the same time
+ * @param items items to map
+ * @param limit maximum amount of concurrent calls
+ * @param fn async (item) => result
+ * @returns results in the order of the items
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index])
+    }
+  }
 
-  console.log('[log] probability delay: ' + prob + '%')
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
 
-  return prob
+/**
+ * Middleware that assigns an id to every request (X-Request-Id of the client or a new one),
+ * returns it in the X-Request-Id header and logs and measures the request when it is finished
+ */
+function identifyRequest(req, res, next) {
+  const id = req.get('X-Request-Id')
+  req.id = id && /^[\w.-]{1,64}$/.test(id) ? id : crypto.randomUUID()
+  res.setHeader('X-Request-Id', req.id)
+
+  const started = process.hrtime.bigint()
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9
+    metrics.recordRequest(req.method, endpointOf(req), res.statusCode, seconds)
+    log.info('request finished', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      httpStatus: res.statusCode,
+      status: res.locals.status,
+      durationMs: Math.round(seconds * 1000)
+    })
+  })
+  next()
 }
 
-async function logRequest(probability, status, journey) {
+/**
+ * Middleware that adds the request id to all log entries of the request
+ * Registered after the body parser, which doesn't keep the context of the request.
+ */
+function enterRequestContext(req, res, next) {
+  log.withContext({ requestId: req.id }, next)
+}
 
+/**
+ * @param req request
+ * @returns route of the request, e.g. '/policies/:id', 'unknown' for unknown endpoints
+ * (the path itself would create a new metric for every path that is requested)
+ */
+function endpointOf(req) {
+  return req.route ? req.route.path : 'unknown'
+}
 
-  // telegram message
-  const output = '*New query on Website* \n\n' +
-    '*Time*: ' + telegram.getTime() + '\n' +
-    '*Probability*: ' + probability + '\n' +
-    '*Status*: ' + status + '\n' +
-    '*Departure*: ' + telegram.retrieveDepartureDateString(journey) + '\n' +
-    '*Journey*: ' + telegram.retrieveStops(journey)
+/**
+ * Middleware that counts the responses of every endpoint by their status code
+ */
+function countResponses(req, res, next) {
+  const json = res.json.bind(res)
+  res.json = (body) => {
+    if (body && typeof body === 'object' && 'status' in body) {
+      res.locals.status = body.status
+      stats.record(req.route ? req.route.path : req.path, body.status)
+      metrics.recordResponse(endpointOf(req), body.status)
+    }
+    return json(body)
+  }
+  next()
+}
 
-  telegram.sendMsg(output)
+/**
+ * Middleware for the optional ABI response mode (?encoding=abi)
+ * Adds the ABI-encoded (uint8 status, uint256 <field>) as "abi" to the JSON response,
+ * so an oracle can pass it to the contract without reshaping it.
+ * @param field name of the value field, e.g. 'payout' or 'delay'
+ */
+function abiResponse(field) {
+  return (req, res, next) => {
+    // error responses report the field as 0 (see handleErrors)
+    res.locals.field = field
+
+    if (req.query.encoding !== 'abi') return next()
+
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      if (body && typeof body === 'object' && 'status' in body) {
+        try {
+          body.abi = encodeResult(body, field)
+        } catch (error) {
+          log.error('could not encode response', { error: error })
+        }
+      }
+      return json(body)
+    }
+    next()
+  }
+}
 
+/**
+ * Middleware that signs responses with the oracle key (if configured)
+ * Adds "oracle" with the signature over (journeyHash, status, <field>, timestamp)
+ * and the signer to the JSON response.
+ * @param field name of the value field, e.g. 'payout' or 'delay'
+ */
+function signResponse(field) {
+  return (req, res, next) => {
+    if (!oracle.isEnabled()) return next()
+
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      if (body && typeof body === 'object' && 'status' in body && res.locals.journeyHash) {
+        try {
+          body.oracle = oracle.sign({
+            journeyHash: res.locals.journeyHash,
+            status: body.status,
+            value: body[field]
+          })
+        } catch (error) {
+          log.error('could not sign response', { error: error })
+        }
+      }
+      return json(body)
+    }
+    next()
+  }
 }
@@ -44,8 +44,14 @@ else
 
         -watch)
             # Follow the service logs in real-time using journalctl
+            # The JSON entries are shown as readable lines if jq is installed
             echo "[log]: watching train-service logs.."
-            sudo journalctl -u train-service -f
+            if command -v jq > /dev/null; then
+                sudo journalctl -u train-service -f -o cat | jq -R -r '
+                    (fromjson? | [.time, .level, (.requestId // "-"), .msg] | join(" ")) // .'
+            else
+                sudo journalctl -u train-service -f
+            fi
             ;;
 
         -restart)
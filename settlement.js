@@ -0,0 +1,223 @@
+/**
+ * Settlement Worker Module
+ *
+ * Settles active policies automatically once their journey has arrived.
+ * The worker periodically
+ *   1. moves active policies whose scheduled arrival has passed to "awaiting-delay"
+ *   2. requests the delay of these journeys (same lookup as /delay)
+ *   3. settles them, a delay of at least CONST_DELAY minutes qualifies for the payout
+ *      (cancelled journeys too, with the delay of CANCELLATION_RULE, see delay.js)
+ *
+ * If zugfinder has no data yet (STATUS_MISSING_DELAY), the lookup is retried with
+ * exponential backoff. Policies that cannot be settled within the settlement window
+ * after their arrival are expired.
+ */
+
+const policies = require("./policies");
+const notifier = require("./notifier");
+const { requestDelay, isDelayed, CONST_DELAY } = require("./delay");
+const { retrieveArrivalDate } = require("./journey");
+const { STATUS_OK, STATUS_CANCELLED, STATUS_MISSING_DELAY, STATUS_ERROR } = require("./status");
+const { MissingDataError, ConflictError } = require("./errors");
+const log = require("./logger");
+require("dotenv").config();
+
+// how often the worker runs (default every 5 minutes, 0 disables the worker)
+const INTERVAL = Number(process.env.SETTLEMENT_INTERVAL_SECONDS ?? 300) * 1000;
+
+// first retry after missing data (default 10 minutes), doubled for every further attempt
+const RETRY_BASE = (Number(process.env.SETTLEMENT_RETRY_MINUTES) || 10) * 60 * 1000;
+
+// upper bound for the time between two attempts (6 hours)
+const RETRY_MAX = 6 * 60 * 60 * 1000;
+
+// give up if there is no delay this long after the scheduled arrival (default 48 hours)
+const WINDOW = (Number(process.env.SETTLEMENT_WINDOW_HOURS) || 48) * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * WORKER
+ */
+
+/**
+ * Starts the worker
+ */
+function start() {
+  if (INTERVAL <= 0 || timer) return;
+
+  // setInterval drops the promise, a failed round must not become an unhandled rejection
+  timer = setInterval(() => run().catch((error) => log.error("settlement round failed", { error: error })), INTERVAL);
+  timer.unref(); // don't keep the process alive just for the worker
+  log.info("started settlement worker");
+}
+
+/**
+ * Stops the worker
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Runs one settlement round
+ * Rounds never overlap, a round is skipped if the previous one is still running.
+ * A policy that fails is logged and doesn't stop the round for the other policies.
+ */
+async function run() {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = Date.now();
+
+    // journeys that have arrived are waiting for their delay now
+    for (const policy of policies.listPolicies(policies.STATE_ACTIVE)) {
+      try {
+        if (retrieveArrivalDate(policy.journey).getTime() <= now) {
+          policies.updatePolicyState(policy.policyId, policies.STATE_AWAITING_DELAY);
+        }
+      } catch (error) {
+        log.error("could not move policy " + policy.policyId + " to awaiting-delay", { policyId: policy.policyId, error: error });
+      }
+    }
+
+    for (const policy of policies.listPolicies(policies.STATE_AWAITING_DELAY)) {
+      const due = !policy.settlement || Date.parse(policy.settlement.nextAttemptAt) <= now;
+      if (due) await attempt(policy);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Settles a policy in a round of the worker, never throws
+ * If the settlement fails, the next attempt is scheduled.
+ *
+ * @param {Object} policy - policy that is awaiting its delay
+ */
+async function attempt(policy) {
+  try {
+    await settle(policy);
+    return;
+  } catch (error) {
+    // settle() has scheduled the next attempt already if the delay is missing
+    if (error instanceof MissingDataError) return;
+    log.error("could not settle policy " + policy.policyId, { policyId: policy.policyId, error: error });
+  }
+
+  try {
+    retryLater(policy, STATUS_ERROR);
+  } catch (error) {
+    log.error("could not schedule the next settlement attempt of policy " + policy.policyId, { policyId: policy.policyId, error: error });
+  }
+}
+
+/**
+ * SETTLEMENT
+ */
+
+/**
+ * Requests the delay of a policy's journey and settles the policy with it
+ * If the delay is still missing, another attempt is scheduled.
+ *
+ * @param {Object} policy - policy to settle
+ * @returns {Promise<Object>} result of the delay lookup ({ status, delay, legs, missedConnections, cancellation })
+ * @throws {ConflictError} if the scheduled arrival of the journey has not passed yet
+ * @throws {MissingDataError} if the delay is still missing (the next attempt is scheduled)
+ * @throws {TrainDataError} if zugfinder fails
+ */
+async function settle(policy) {
+  const arrival = retrieveArrivalDate(policy.journey);
+  if (arrival.getTime() > Date.now()) {
+    throw new ConflictError("journey has not arrived yet, scheduled arrival is " + arrival.toISOString());
+  }
+
+  let result;
+  try {
+    result = await requestDelay(policy.journey);
+  } catch (error) {
+    if (error instanceof MissingDataError) retryLater(policy, STATUS_MISSING_DELAY);
+    throw error;
+  }
+
+  if (result.status === STATUS_OK || result.status === STATUS_CANCELLED) {
+    const eligible = isDelayed(result.delay);
+    const settled = policies.settlePolicy(policy.policyId, {
+      delay: result.delay,
+      eligible: eligible,
+      legs: result.legs,
+      missedConnections: result.missedConnections,
+      cancellation: result.cancellation,
+    });
+    log.info("settled policy " + policy.policyId, {
+      policyId: policy.policyId,
+      delay: result.delay,
+      eligible: eligible,
+      threshold: CONST_DELAY,
+      cancelled: result.status === STATUS_CANCELLED,
+    });
+    notifier.notify("settlement", {
+      policyId: settled.policyId,
+      source: settled.source,
+      partner: settled.partner,
+      journeyHash: settled.journeyHash,
+      delay: settled.delay,
+      eligible: settled.eligible,
+      payoutDue: settled.payoutDue,
+      cancellation: settled.cancellation,
+      journey: settled.journey,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Schedules the next settlement attempt with exponential backoff
+ * or expires the policy if the settlement window has passed.
+ *
+ * @param {Object} policy - policy that could not be settled
+ * @param {number} status - status code of the failed attempt
+ */
+function retryLater(policy, status) {
+  const arrival = retrieveArrivalDate(policy.journey).getTime();
+
+  if (Date.now() - arrival > WINDOW) {
+    // the policy might still be active if it was settled manually
+    if (policy.state === policies.STATE_ACTIVE) {
+      policies.updatePolicyState(policy.policyId, policies.STATE_AWAITING_DELAY);
+    }
+    policies.updatePolicyState(policy.policyId, policies.STATE_EXPIRED);
+    log.warn("gave up settling policy " + policy.policyId, { policyId: policy.policyId, status: status });
+    return;
+  }
+
+  const attempts = policy.settlement ? policy.settlement.attempts : 0;
+  const backoff = Math.min(RETRY_BASE * 2 ** attempts, RETRY_MAX);
+  const nextAttemptAt = new Date(Date.now() + backoff);
+
+  policies.recordSettlementAttempt(policy.policyId, { status: status, nextAttemptAt: nextAttemptAt });
+  log.info("could not settle policy " + policy.policyId + " yet", {
+    policyId: policy.policyId,
+    status: status,
+    nextAttemptAt: nextAttemptAt.toISOString(),
+  });
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  start,
+  stop,
+  run,
+  settle,
+};
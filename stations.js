@@ -0,0 +1,232 @@
+/**
+ * Station Registry Module
+ *
+ * Registry of the known stations, loaded from a bundled dataset (STATIONS_FILE,
+ * default: stations.json) with the name, the EVA number and aliases of every station.
+ *
+ * Station names of journeys are free text ("Leipzig HBF", "leipzig hauptbahnhof").
+ * The registry maps all spelling variants to the official name, so the same journey
+ * always results in the same prediction request and cache key. Names are compared
+ * without case, umlauts, punctuation and with "Hauptbahnhof" shortened to "Hbf".
+ *
+ * Unknown stations are rejected with suggestions, unless UNKNOWN_STATIONS is "warn"
+ * (kept and logged with suggestions) or "allow" (kept silently).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const log = require("./logger");
+require("dotenv").config();
+
+const STATIONS_FILE = process.env.STATIONS_FILE || path.join(__dirname, "stations.json");
+
+// "reject" (default): journeys with unknown stations are invalid,
+// "warn": unknown names are kept and logged, "allow": they are kept silently
+const UNKNOWN_STATIONS = process.env.UNKNOWN_STATIONS || "reject";
+
+// amount of suggestions for an unknown station
+const SUGGESTIONS = 3;
+
+const { stations, index } = load();
+
+/**
+ * LOOKUP
+ */
+
+/**
+ * Finds a station by its name, an alias or its EVA number
+ * @param {string} name - station name in any spelling
+ * @returns {Object|undefined} station { name, eva, aliases }
+ */
+function lookup(name) {
+  return index.get(normalize(name));
+}
+
+/**
+ * Searches stations for the autocomplete of the website
+ * Stations whose name or alias starts with the query come first, then stations
+ * containing it, then similar names (spelling mistakes).
+ * @param {string} query - part of a station name
+ * @param {number} [limit=10] - maximum amount of results
+ * @returns {Object[]} stations { name, eva }
+ */
+function search(query, limit = 10) {
+  const key = normalize(query);
+  if (key === "") return [];
+
+  const ranked = stations
+    .map((station) => ({ station: station, rank: rank(station, key) }))
+    .filter((entry) => entry.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.station.name.localeCompare(b.station.name));
+
+  return ranked.slice(0, limit).map((entry) => ({ name: entry.station.name, eva: entry.station.eva }));
+}
+
+/**
+ * @param {string} name - unknown station name
+ * @returns {string[]} names of the most similar stations
+ */
+function suggest(name) {
+  return search(name, SUGGESTIONS).map((station) => station.name);
+}
+
+/**
+ * JOURNEYS
+ */
+
+/**
+ * Checks the stations of all legs
+ * @param {Object} journey - journey with all its legs
+ * @returns {Object[]} errors { leg, field, code, message, suggestions } of unknown stations,
+ * empty if UNKNOWN_STATIONS is "warn" or "allow"
+ */
+function checkJourney(journey) {
+  if (UNKNOWN_STATIONS === "allow") return [];
+
+  const errors = [];
+  for (const leg in journey) {
+    ["start_stop", "arrival_stop"].forEach((field) => {
+      const name = journey[leg][field];
+      if (lookup(name)) return;
+
+      const suggestions = suggest(name);
+      errors.push({
+        leg: leg,
+        field: field,
+        code: "UNKNOWN_STATION",
+        message:
+          leg + ': unknown station "' + name + '"' +
+          (suggestions.length ? ", did you mean " + suggestions.map((s) => '"' + s + '"').join(", ") + "?" : ""),
+        suggestions: suggestions,
+      });
+    });
+  }
+
+  if (UNKNOWN_STATIONS === "reject") return errors;
+  errors.forEach((error) => log.warn(error.message, { leg: error.leg, field: error.field, suggestions: error.suggestions }));
+  return [];
+}
+
+/**
+ * Replaces the station names of all legs with their official names
+ * @param {Object} journey - journey with all its legs
+ * @returns {Object} copy of the journey, unknown names are kept
+ */
+function normalizeJourney(journey) {
+  const normalized = {};
+  for (const leg in journey) {
+    const start = lookup(journey[leg].start_stop);
+    const arrival = lookup(journey[leg].arrival_stop);
+    normalized[leg] = {
+      ...journey[leg],
+      start_stop: start ? start.name : journey[leg].start_stop,
+      arrival_stop: arrival ? arrival.name : journey[leg].arrival_stop,
+    };
+  }
+  return normalized;
+}
+
+/**
+ * @param {string} a - station name
+ * @param {string} b - station name
+ * @returns {boolean} true if both names denote the same station
+ */
+function isSameStation(a, b) {
+  const first = lookup(a);
+  const second = lookup(b);
+  if (first && second) return first.eva === second.eva;
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * @param {string} name - station name
+ * @returns {string} key of the name, e.g. "Frankfurt (Main) Hauptbahnhof" -> "frankfurt main hbf"
+ */
+function normalize(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/ä/g, "ae")
+    .replace(/ö/g, "oe")
+    .replace(/ü/g, "ue")
+    .replace(/ß/g, "ss")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\bhauptbahnhof\b/g, "hbf")
+    .trim();
+}
+
+/**
+ * @param {Object} station - station of the registry
+ * @param {string} key - normalized query
+ * @returns {number|null} rank of the station for the query (lower is better), null if it doesn't match
+ */
+function rank(station, key) {
+  const keys = station.keys;
+  if (keys.includes(key)) return 0;
+  if (keys.some((name) => name.startsWith(key))) return 1;
+  if (keys.some((name) => name.includes(key))) return 2;
+
+  // similar names, at most one mistake per 4 characters
+  const distance = Math.min(...keys.map((name) => levenshtein(name.slice(0, key.length + 2), key)));
+  return distance <= Math.floor(key.length / 4) ? 3 + distance : null;
+}
+
+/**
+ * @returns {number} edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Loads the dataset and indexes all names, aliases and EVA numbers
+ * @returns {Object} { stations, index: Map(key -> station) }
+ * @throws {Error} if a station is incomplete or a name belongs to two stations
+ */
+function load() {
+  const { stations } = JSON.parse(fs.readFileSync(STATIONS_FILE, "utf8"));
+  const index = new Map();
+
+  for (const station of stations) {
+    if (!station.name || !station.eva) throw new Error("station without name or EVA number in " + STATIONS_FILE);
+
+    station.keys = [station.name].concat(station.aliases || []).map(normalize);
+    station.keys.concat([String(station.eva)]).forEach((key) => {
+      const existing = index.get(key);
+      if (existing && existing !== station) {
+        throw new Error('"' + key + '" denotes ' + existing.name + " and " + station.name + " in " + STATIONS_FILE);
+      }
+      index.set(key, station);
+    });
+  }
+
+  log.info("loaded " + stations.length + " stations");
+  return { stations, index };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  lookup,
+  search,
+  suggest,
+  checkJourney,
+  normalizeJourney,
+  isSameStation,
+};
@@ -0,0 +1,36 @@
+/**
+ * Statistics Module
+ *
+ * Counts the responses of the endpoints by their status code.
+ */
+
+const started = new Date()
+
+// counts by endpoint and status, e.g. { '/payouts': { 0: 12, 30: 2 } }
+const counts = {}
+
+
+/***
+ * @param endpoint endpoint of the request, e.g. '/payouts'
+ * @param status status code of the response
+ */
+function record(endpoint, status) {
+  counts[endpoint] = counts[endpoint] || {}
+  counts[endpoint][status] = (counts[endpoint][status] || 0) + 1
+}
+
+/***
+ * @returns { since, counts } - counts by endpoint and status since the start of the service
+ */
+function getStats() {
+  return {
+    since: started.toISOString(),
+    counts: counts
+  }
+}
+
+
+module.exports = {
+  record,
+  getStats
+}
@@ -0,0 +1,14 @@
+/**
+ * Status codes returned by the endpoints
+ * The contract depends on these values, so they must not change.
+ */
+module.exports = {
+  STATUS_OK: 0, // all good
+  STATUS_SEV: 10, // journey contains a service that is not insured, e.g. RPS (rail replacement service), see services.json
+  STATUS_TIME: 20, // journey not in allowed timeframe
+  STATUS_PROBABILITY: 30, // probability is too high (above the cutoff of the payout matrix)
+  STATUS_MISSING_DELAY: 40, // missing delay, queue request again
+  STATUS_EXPOSURE: 50, // quote would exceed an exposure limit
+  STATUS_CANCELLED: 60, // journey is (partially) cancelled, the delay follows CANCELLATION_RULE
+  STATUS_ERROR: 100 // something else went wrong
+}
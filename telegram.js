@@ -4,39 +4,138 @@
  * This module handles Telegram bot functionality for sending notifications
  * about train delay insurance queries and status updates.
  * Uses the Telegraf library for Telegram Bot API interactions.
+ *
+ * Messages are sent through a queue per chat (see notification-queue.js), so bursts
+ * are merged into digests and failures are retried instead of crashing the service.
+ * Without a bot token the module only logs the messages.
  */
 
 const { Telegraf } = require("telegraf");
+const { createQueue } = require("./notification-queue");
+const { TIMEZONE, retrieveDepartureDate } = require("./journey");
+const log = require("./logger");
 require("dotenv").config();
 
+// Without a token the bot is disabled and messages are only logged
+const BOT_TOKEN = process.env.BOT_TOKEN_PILOT;
+
 // Initialize Telegram bot with token from environment variables
-const bot = new Telegraf(process.env.BOT_TOKEN_PILOT);
+// TELEGRAM_API_ROOT allows using a local fake Telegram API for testing
+const bot = new Telegraf(BOT_TOKEN, {
+  telegram: process.env.TELEGRAM_API_ROOT ? { apiRoot: process.env.TELEGRAM_API_ROOT } : {},
+});
 
 // Target chat/group ID for sending notifications
 const CHAT_ID = process.env.CHAT_ID; // telegram group
 
+// Chats that are allowed to use operator commands (comma-separated, default: CHAT_ID)
+const OPERATOR_CHAT_IDS = (process.env.OPERATOR_CHAT_IDS || CHAT_ID || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter((id) => id !== "");
+
+// Messages per minute and chat (Telegram allows about 20 per minute in groups)
+const RATE_PER_MINUTE = Number(process.env.TELEGRAM_RATE_PER_MINUTE) || 20;
+
+// Queues of outgoing messages by chat ID
+const queues = {};
+
 // Start the bot and begin listening for messages
-bot.launch();
-console.log("Launched bot..");
+if (BOT_TOKEN) {
+  bot.launch().catch((err) => log.error("could not launch bot", { error: err }));
+  log.info("Launched bot..");
+} else {
+  log.info("no bot token configured, telegram messages are only logged");
+}
 
 /**
  * MESSAGING FUNCTIONS
  */
 
 /**
- * Sends a formatted message to the configured Telegram chat
+ * Queues a formatted message for the configured Telegram chat
+ * Never throws, failed messages are retried and dropped after several attempts.
  * @param {string} msg - The message text to send
- * @throws {Error} If message sending fails
+ * @param {string} [chatId] - Target chat (default: CHAT_ID)
+ */
+function sendMsg(msg, chatId = CHAT_ID) {
+  if (!BOT_TOKEN || !chatId) {
+    log.info("telegram message", { text: msg.replace(/\n+/g, " | ") });
+    return;
+  }
+
+  if (!queues[chatId]) {
+    queues[chatId] = createQueue((text) => deliver(chatId, text), {
+      name: "telegram " + chatId,
+      ratePerMinute: RATE_PER_MINUTE,
+      digestHeader: (count) => "*Digest of " + count + " messages*",
+    });
+  }
+  queues[chatId].push(msg);
+}
+
+/**
+ * Sends a message to a Telegram chat
+ * @param {string} chatId - Target chat
+ * @param {string} text - The message text to send
+ * @throws {Error} If message sending fails, with retryAfter (seconds) if Telegram asks to wait
  */
-function sendMsg(msg) {
-  bot.telegram
-    .sendMessage(CHAT_ID, format(msg), {
+async function deliver(chatId, text) {
+  try {
+    await bot.telegram.sendMessage(chatId, format(text), {
       parse_mode: "MarkdownV2", // Enable Telegram MarkdownV2 formatting
       disable_web_page_preview: true, // Prevent automatic link previews
-    })
-    .catch((err) => {
-      throw new Error(err.message);
     });
+  } catch (err) {
+    const error = new Error(err.message);
+    // flood limit reached, Telegram tells how long to wait
+    error.retryAfter = err.parameters ? err.parameters.retry_after : undefined;
+    throw error;
+  }
+}
+
+/**
+ * @returns {Object} Queue statistics by chat ID
+ */
+function getQueueStats() {
+  const stats = {};
+  for (const chatId in queues) stats[chatId] = queues[chatId].getStats();
+  return stats;
+}
+
+/**
+ * COMMAND FUNCTIONS
+ */
+
+/**
+ * Registers an operator command
+ * Commands are only accepted from the chats in OPERATOR_CHAT_IDS, all other
+ * chats are ignored. The reply is sent as plain text.
+ *
+ * @param {string} name - Name of the command without slash (e.g. "stats")
+ * @param {Function} handler - async (args) => reply, args is the text after the command
+ */
+function command(name, handler) {
+  bot.command(name, async (ctx) => {
+    const chatId = String(ctx.chat.id);
+    if (!OPERATOR_CHAT_IDS.includes(chatId)) {
+      log.warn("ignored command /" + name + " from chat " + chatId);
+      return;
+    }
+
+    log.info("received command /" + name);
+    const args = ctx.message.text.replace(/^\/\S+\s*/, "").trim();
+
+    let reply;
+    try {
+      reply = await handler(args);
+    } catch (error) {
+      log.error("command /" + name + " failed", { error: error });
+      reply = "Error: " + error.message;
+    }
+
+    await ctx.reply(reply).catch((err) => log.error("could not reply", { error: err }));
+  });
 }
 
 /**
@@ -74,10 +173,11 @@ function format(text) {
 
 /**
  * Gets the current timestamp formatted in German locale
- * @returns {string} Current date and time in German format
+ * @returns {string} Current date and time in German format (Europe/Berlin)
  */
 function getTime() {
   const options = {
+    timeZone: TIMEZONE,
     year: "numeric",
     month: "long",
     day: "numeric",
@@ -113,37 +213,26 @@ function retrieveStops(journey) {
  * and formats it in German locale for display
  * 
  * @param {Object} _journey - Journey object containing leg information
- * @returns {string} Formatted departure date string in German
+ * @returns {string} Formatted departure date string in German (Europe/Berlin)
  * @throws {Error} If journey data is missing or invalid
  */
 function retrieveDepartureDateString(_journey) {
-  // Get first leg of the journey (departure information)
-  const departureLeg = _journey["leg_" + 1];
-
-  if (departureLeg) {
-    // Create date object from the departure date string
-    const departureDate = new Date(departureLeg.start_date);
-
-    // Parse and set the departure time (hours and minutes)
-    const departureTime = departureLeg.start_time;
-    departureDate.setHours(departureTime.split(":")[0]);
-    departureDate.setMinutes(departureTime.split(":")[1]);
-
-    // German locale formatting options for readable date display
-    const options = {
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-      hour: "numeric",
-      minute: "numeric",
-      second: "numeric",
-    };
-
-    return departureDate.toLocaleDateString("de-DE", options);
-    // e.g.: 19. September 2023 um 15:50:00
-  } else {
-    throw new Error("Missing Data");
-  }
+  // Departure of the first leg, independent of the timezone of the host
+  const departureDate = retrieveDepartureDate(_journey);
+
+  // German locale formatting options for readable date display
+  const options = {
+    timeZone: TIMEZONE,
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  };
+
+  return departureDate.toLocaleDateString("de-DE", options);
+  // e.g.: 19. September 2023 um 15:50:00
 }
 
 /**
@@ -151,12 +240,16 @@ function retrieveDepartureDateString(_journey) {
  * 
  * Exported functions for use in other modules:
  * - sendMsg: Send formatted messages to Telegram
+ * - getQueueStats: Get statistics of the message queues
+ * - command: Register an operator command
  * - getTime: Get current timestamp in German format
  * - retrieveStops: Format journey stops into readable string
  * - retrieveDepartureDateString: Format departure date/time for display
  */
 module.exports = {
   sendMsg,
+  getQueueStats,
+  command,
   getTime,
   retrieveStops,
   retrieveDepartureDateString,
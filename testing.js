@@ -0,0 +1,117 @@
+/**
+ * Testing Module
+ *
+ * Scenarios of the test oracle (/delayOracleTesting). A scenario sets the delay
+ * the test oracle returns
+ * - for one journey (by its journey hash), or
+ * - for one test session (header X-Test-Session),
+ * so parallel contract test runs don't interfere with each other. Journey scenarios
+ * come before session scenarios; without a scenario the delay of the journey is
+ * calculated with the delay simulator (see providers/simulator.js).
+ *
+ * The testing endpoints are only available if TESTING_MODE=on.
+ */
+
+const log = require('./logger')
+require('dotenv').config()
+
+const TESTING_MODE = process.env.TESTING_MODE === 'on'
+
+// scenarios are removed after this time (default 24 hours)
+const SCENARIO_TTL = (Number(process.env.SCENARIO_TTL_HOURS) || 24) * 60 * 60 * 1000
+
+// scopes of scenarios, in the order they are looked up
+const SCOPE_JOURNEY = 'journey'
+const SCOPE_SESSION = 'session'
+
+// scenarios by scope and key, e.g. scenarios.session.get('run-42') -> { delay, expiresAt }
+const scenarios = {
+  [SCOPE_JOURNEY]: new Map(),
+  [SCOPE_SESSION]: new Map()
+}
+
+
+/***
+ * @returns true if the testing endpoints are enabled (TESTING_MODE=on)
+ */
+function isEnabled() {
+  return TESTING_MODE
+}
+
+/***
+ * Returns the delay of the scenario of a journey or test session
+ * @param options { journeyHash, session } - both optional
+ * @returns { delay, scenario } - scenario is the scope the delay comes from ('journey' or 'session'),
+ * null if there is no scenario
+ */
+function findScenario({ journeyHash, session } = {}) {
+  removeExpired()
+
+  if (journeyHash && scenarios[SCOPE_JOURNEY].has(journeyHash))
+    return { delay: scenarios[SCOPE_JOURNEY].get(journeyHash).delay, scenario: SCOPE_JOURNEY }
+
+  if (session && scenarios[SCOPE_SESSION].has(session))
+    return { delay: scenarios[SCOPE_SESSION].get(session).delay, scenario: SCOPE_SESSION }
+
+  return null
+}
+
+/***
+ * Stores a scenario, an existing scenario of the same journey or session is replaced
+ * @param scope 'journey' or 'session'
+ * @param key journey hash or session id
+ * @param delay delay in minutes the test oracle returns
+ * @returns the scenario { scope, key, delay, expiresAt }
+ */
+function setScenario(scope, key, delay) {
+  const expiresAt = new Date(Date.now() + SCENARIO_TTL).toISOString()
+  scenarios[scope].set(key, { delay: delay, expiresAt: expiresAt })
+  log.info('set test scenario', { scope: scope, key: key, delay: delay })
+  return { scope: scope, key: key, delay: delay, expiresAt: expiresAt }
+}
+
+/***
+ * @param scope 'journey' or 'session'
+ * @param key journey hash or session id
+ * @returns true if the scenario existed
+ */
+function deleteScenario(scope, key) {
+  return scenarios[scope].delete(key)
+}
+
+/***
+ * @returns all scenarios [{ scope, key, delay, expiresAt }]
+ */
+function listScenarios() {
+  removeExpired()
+
+  const list = []
+  for (const scope in scenarios) {
+    scenarios[scope].forEach((scenario, key) => list.push({ scope: scope, key: key, ...scenario }))
+  }
+  return list
+}
+
+
+/***
+ * Removes the scenarios whose time has passed
+ */
+function removeExpired() {
+  const now = new Date().toISOString()
+  for (const scope in scenarios) {
+    scenarios[scope].forEach((scenario, key) => {
+      if (scenario.expiresAt <= now) scenarios[scope].delete(key)
+    })
+  }
+}
+
+
+module.exports = {
+  SCOPE_JOURNEY,
+  SCOPE_SESSION,
+  isEnabled,
+  findScenario,
+  setScenario,
+  deleteScenario,
+  listScenarios
+}
@@ -0,0 +1,231 @@
+/**
+ * Upstream Client Module
+ *
+ * HTTP client for the services this service depends on (prediction, zugfinder).
+ * Every upstream has its own client with
+ * - a timeout per attempt, so a slow upstream doesn't tie up requests
+ * - retries with jittered exponential backoff, only for idempotent calls
+ * - a circuit breaker: after repeated failures the upstream is considered down
+ *   and calls fail fast with UpstreamUnavailableError, until a trial call
+ *   after the reset time succeeds
+ *
+ * Failures are network errors, timeouts and the HTTP statuses 429 and 5xx.
+ * Other responses (e.g. 404) are returned to the caller and don't count as failures.
+ */
+
+const fetch = require("node-fetch");
+const { Response } = fetch;
+const { UpstreamUnavailableError } = require("./errors");
+const log = require("./logger");
+const metrics = require("./metrics");
+require("dotenv").config();
+
+// breaker states
+const CLOSED = "closed"; // calls pass
+const OPEN = "open"; // calls fail fast
+const HALF_OPEN = "half-open"; // one trial call passes
+
+// default options of a client
+const DEFAULTS = {
+  timeout: Number(process.env.UPSTREAM_TIMEOUT_MS) || 5000, // timeout of one attempt in ms
+  retries: process.env.UPSTREAM_RETRIES !== undefined && process.env.UPSTREAM_RETRIES !== ""
+    ? Number(process.env.UPSTREAM_RETRIES)
+    : 2, // attempts after the first failure (idempotent calls only)
+  retryBase: 200, // maximum delay of the first retry in ms, doubled for every further attempt
+  retryMax: 2000, // maximum delay of a retry in ms
+  fetch: fetch, // sends one attempt, fetch(url, init) with init.signal (replaced by the delay simulator)
+  failureThreshold: Number(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5, // failed calls in a row that open the breaker
+  resetTimeout: (Number(process.env.UPSTREAM_BREAKER_RESET_SECONDS) || 30) * 1000, // time until a trial call in ms
+};
+
+// clients by upstream name
+const clients = {};
+
+/**
+ * Creates the client of an upstream
+ * @param {string} name - name of the upstream, e.g. "prediction"
+ * @param {Object} [options] - see DEFAULTS
+ * @returns {Object} client with request(url, init, { idempotent }) and getState()
+ */
+function createClient(name, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+
+  let state = CLOSED;
+  let failures = 0; // failed calls in a row
+  let openedAt = null;
+  let trial = false; // a trial call is running (half-open)
+  const stats = { calls: 0, failed: 0, timeouts: 0, retries: 0, rejected: 0 };
+
+  /**
+   * Sends a request to the upstream
+   * @param {string} url - URL of the request
+   * @param {Object} [init] - fetch options (method, headers, body)
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent=false] - the call may be repeated without side effects
+   * @returns {Promise<Object>} fetch response
+   * @throws {UpstreamUnavailableError} if the breaker is open
+   * @throws {Error} if the last attempt failed
+   */
+  async function request(url, init = {}, { idempotent = false } = {}) {
+    admit();
+    stats.calls++;
+
+    const attempts = idempotent ? config.retries + 1 : 1;
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const res = await attemptRequest(url, init);
+        onSuccess();
+        return res;
+      } catch (error) {
+        lastError = error;
+        if (attempt === attempts) break;
+
+        const delay = backoff(attempt);
+        log.warn(name + ": " + error.message + ", retry in " + delay + "ms", { upstream: name, attempt: attempt });
+        stats.retries++;
+        await sleep(delay);
+      }
+    }
+
+    onFailure(lastError);
+    throw lastError;
+  }
+
+  /**
+   * @returns {Object} { name, state, failures, openedAt, retryAt, calls, failed, timeouts, retries, rejected } -
+   * failures counts the failed calls in a row, failed all failed calls
+   */
+  function getState() {
+    return {
+      name: name,
+      state: currentState(),
+      failures: failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: openedAt ? new Date(openedAt + config.resetTimeout).toISOString() : null,
+      ...stats,
+    };
+  }
+
+  /**
+   * Lets a call pass or rejects it, depending on the breaker
+   * @throws {UpstreamUnavailableError} if the breaker is open or a trial call is running
+   */
+  function admit() {
+    const current = currentState();
+    if (current === CLOSED) return;
+    if (current === HALF_OPEN && !trial) {
+      trial = true;
+      log.info(name + ": breaker half-open, trial call", { upstream: name });
+      return;
+    }
+
+    stats.rejected++;
+    throw new UpstreamUnavailableError(name + " is unavailable", {
+      details: { upstream: name, retryAt: new Date(openedAt + config.resetTimeout).toISOString() },
+    });
+  }
+
+  /**
+   * @returns {string} state of the breaker, an open breaker becomes half-open after the reset time
+   */
+  function currentState() {
+    if (state === OPEN && Date.now() - openedAt >= config.resetTimeout) state = HALF_OPEN;
+    return state;
+  }
+
+  function onSuccess() {
+    if (state !== CLOSED) log.info(name + ": breaker closed", { upstream: name });
+    state = CLOSED;
+    failures = 0;
+    openedAt = null;
+    trial = false;
+  }
+
+  /**
+   * @param {Error} error - error of the last attempt
+   */
+  function onFailure(error) {
+    failures++;
+    stats.failed++;
+    trial = false;
+
+    if (state === HALF_OPEN || failures >= config.failureThreshold) {
+      if (state !== OPEN) {
+        log.error(name + ": breaker open after " + failures + " failed call(s)", { upstream: name, error: error });
+      }
+      state = OPEN;
+      openedAt = Date.now();
+    }
+  }
+
+  /**
+   * One attempt with timeout, its duration is recorded in the metrics
+   * The timeout covers the body too: it is read within the attempt, so an upstream
+   * that sends its headers and stalls afterwards times out like one that never answers.
+   * @returns {Promise<Object>} fetch response with the body already read
+   * @throws {Error} on network errors, timeouts, 429 and 5xx
+   */
+  async function attemptRequest(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeout);
+    const started = process.hrtime.bigint();
+    let outcome = "failure";
+    try {
+      const res = await config.fetch(url, { ...init, signal: controller.signal });
+      if (res.status === 429 || res.status >= 500) throw new Error(name + " answered with " + res.status);
+      const body = await res.buffer();
+      outcome = "success";
+      return new Response(body, { url: res.url, status: res.status, statusText: res.statusText, headers: res.headers });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        stats.timeouts++;
+        outcome = "timeout";
+        throw new Error(name + " timed out after " + config.timeout + "ms");
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      metrics.recordUpstream(name, outcome, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  }
+
+  /**
+   * @param {number} attempt - number of the failed attempt
+   * @returns {number} random delay ("full jitter") up to the exponential backoff in ms
+   */
+  function backoff(attempt) {
+    const max = Math.min(config.retryBase * 2 ** (attempt - 1), config.retryMax);
+    return Math.round(Math.random() * max);
+  }
+
+  const client = { request, getState };
+  clients[name] = client;
+  return client;
+}
+
+/**
+ * @returns {Object} breaker states of all upstreams by name
+ */
+function getStates() {
+  const states = {};
+  for (const name in clients) states[name] = clients[name].getState();
+  return states;
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  DEFAULTS,
+  createClient,
+  getStates,
+};
@@ -1,5 +1,8 @@
 // Validation module for train journey data using Joi schema validation
 const Joi = require('joi')
+const { toDate } = require('./journey')
+const stations = require('./stations')
+require('dotenv').config()
 
 // Higher-order function that creates a validator function for a given schema
 // Returns all validation errors instead of stopping at the first one (abortEarly: false)
@@ -7,25 +10,271 @@ const validator = (schema) => (payload) =>
     schema.validate(payload, {abortEarly: false})
 
 
+// Time in format hh:mm and date in format YYYY-MM-DD (local times of Europe/Berlin)
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3])\:([0-5][0-9])$/
+const DATE_PATTERN = /^(2[0-9]{3})\-(0[1-9]|1[0-2])\-(0[1-9]|[1-2][0-9]|3[0-1])$/
+
+// Rejects dates that match the pattern but don't exist (e.g. 2025-02-30)
+const calendarDate = (value) => {
+    if (new Date(value + 'T00:00:00Z').toISOString().slice(0, 10) !== value) throw new Error('date does not exist')
+    return value
+}
+
+// Limits of a journey
+const MAX_LEGS = Number(process.env.JOURNEY_MAX_LEGS) || 6 // Maximum amount of legs
+const MAX_DURATION_HOURS = Number(process.env.JOURNEY_MAX_DURATION_HOURS) || 24 // Maximum time from departure to arrival
+
+// Maximum amount of journeys of a batch request (/payouts/batch)
+const MAX_BATCH_JOURNEYS = Number(process.env.BATCH_MAX_JOURNEYS) || 10
+
 // Schema for validating individual journey legs
 // Each leg represents one train connection in a multi-leg journey
 const legSchema = Joi.object({
-    train: Joi.string().required(), // Train identifier (e.g., "IC 705", "RE 1234")
-    start_stop: Joi.string().required(), // Departure station name
-    start_time: Joi.string().regex(/^([0-2][0-9])\:([0-5][0-9])$/), // Departure time in HH:MM format
-    start_date: Joi.string().regex(/^(2[0-9]{3})\-([0-1][0-9])\-([0-3][0-9])$/), // Departure date in YYYY-MM-DD format
-    arrival_stop: Joi.string().required(), // Arrival station name
-    arrival_time: Joi.string().regex(/^([0-2][0-9])\:([0-5][0-9])$/), // Arrival time in HH:MM format
-    arrival_date: Joi.string().regex(/^(2[0-9]{3})\-([0-1][0-9])\-([0-3][0-9])$/) // Arrival date in YYYY-MM-DD format
+    train: Joi.string().required().example('IC 705'), // Train identifier (e.g., "IC 705", "RE 1234")
+    start_stop: Joi.string().required().example('Berlin Hbf'), // Departure station name
+    start_time: Joi.string().regex(TIME_PATTERN).required().example('15:30'), // Departure time in HH:MM format
+    start_date: Joi.string().regex(DATE_PATTERN).custom(calendarDate).required().example('2025-10-15'), // Departure date in YYYY-MM-DD format
+    arrival_stop: Joi.string().required().example('Hamburg Hbf'), // Arrival station name
+    arrival_time: Joi.string().regex(TIME_PATTERN).required().example('17:45'), // Arrival time in HH:MM format
+    arrival_date: Joi.string().regex(DATE_PATTERN).custom(calendarDate).required().example('2025-10-15') // Arrival date in YYYY-MM-DD format
 })
 
+// Schema of a journey object (website), the legs leg_1 ... leg_N
+// Only used for request bodies and the OpenAPI document, validateJourney checks journeys in detail
+const journeySchema = Joi.object().pattern(/^leg_[1-9][0-9]*$/, legSchema)
+    .description('Legs leg_1 ... leg_N (at most ' + MAX_LEGS + ') in the order of travel')
+
+// Schema of a journey encoded for the contract (see codec.js), 7 values per leg separated by ";"
+const encodedJourneySchema = Joi.string().regex(/^[^;]*(;[^;]*){6}(;[^;]*(;[^;]*){6})*$/)
+    .description('train;start_stop;start_time;start_date;arrival_stop;arrival_time;arrival_date per leg, legs separated by ";"')
+    .messages({ 'string.pattern.base': '{{#label}} has to be 7 values per leg separated by ";"' })
+    .example('IC 705;Berlin Hbf;15:30;2025-10-15;Hamburg Hbf;17:45;2025-10-15')
+
 // Schema for validating policy type requests
 // Used to determine which payout calculation to use
-const typeSchema = Joi.object({
-    type: Joi.string().valid('small', 'medium', 'large', 'all').required(), // Insurance policy types
+// The valid types are the products of the active payout matrix (see payouts.js)
+const typeSchema = (products) => Joi.object({
+    type: Joi.string().valid(...products, 'all').required(), // Insurance policy types
+})
+
+// Schema for validating the body of /payouts
+// The website sends { type: "all", journey: object }, the contract { type: product, journey: encoded }
+const payoutsRequestSchema = (products) => Joi.object({
+    type: Joi.string().valid(...products, 'all').required(), // Insurance policy type, "all" for the website
+    journey: Joi.when('type', { is: 'all', then: journeySchema, otherwise: encodedJourneySchema }).required()
+        .messages({ 'object.base': 'type "all" needs the journey as object', 'string.base': 'type "' + products.join('", "') + '" needs the journey encoded' })
+})
+
+// Schema for validating the body of /delay
+// The contract sends { journey: encoded }, the website the journey object itself
+const delayRequestSchema = Joi.alternatives().conditional(Joi.object({ journey: Joi.exist() }).unknown(), {
+    then: Joi.object({
+        journey: encodedJourneySchema.required()
+            .messages({ 'string.base': 'journey has to be encoded, journey objects are sent as body without "journey"' })
+    }),
+    otherwise: journeySchema
+})
+
+// Schema for validating the body of /policies
+const bindPolicySchema = Joi.object({
+    quoteId: Joi.string().required(), // Id of the quote returned by /payouts
+    type: Joi.string(), // Insured type, required for quotes of type "all"
+    policyId: Joi.alternatives(Joi.string(), Joi.number().integer()), // Id of the policy (e.g. of the contract), generated if missing
+    partner: Joi.string().max(100) // Partner who sold the policy, settlement notifications can be routed by it
 })
 
+// Schema for validating the body of /policies/:id/state
+const policyStateSchema = Joi.object({
+    state: Joi.string().valid('awaiting-delay', 'expired').required() // Target state, policies are only settled by /policies/:id/settle
+})
+
+// Schema for validating batch requests (/payouts/batch)
+// The journeys are validated one by one later (validateJourney), so an invalid journey doesn't fail the whole batch
+const batchSchema = (products) => Joi.object({
+    type: Joi.string().valid(...products, 'all').default('all'), // Insurance policy type of all journeys
+    journeys: Joi.array().min(1).max(MAX_BATCH_JOURNEYS).required() // Journey objects as sent by the website
+})
+
+// Schema for validating scenarios of the test oracle (/testing/scenarios)
+// A scenario applies to one journey (its hash or the journey itself) or to one test session
+const scenarioSchema = Joi.object({
+    journeyHash: Joi.string().regex(/^[0-9a-f]{64}$/), // Hash of the journey (see journey.js)
+    journey: Joi.alternatives(Joi.string(), Joi.object()), // Journey encoded for the contract or as object
+    session: Joi.string().regex(/^[\w.-]{1,64}$/), // Id of the test session (header X-Test-Session)
+    delay: Joi.number().integer().min(0).max(24 * 60).required() // Delay the test oracle returns in minutes
+}).xor('journeyHash', 'journey', 'session')
+
+// Schema for validating scenarios of the delay simulator (fixtures/simulator.json, /testing/simulator)
+// A scenario sets the outcome of one train on one date (every date without date), see providers/simulator.js
+const simulationSchema = Joi.object({
+    train: Joi.string().required(), // Train identifier as in the journey (e.g., "ICE 1000")
+    date: Joi.string().regex(DATE_PATTERN).custom(calendarDate), // Scheduled departure date of the leg
+    delay: Joi.number().integer().min(-60).max(24 * 60), // Delay of departure and arrival in minutes
+    cancelled: Joi.boolean().valid(true), // The train is cancelled
+    missing: Joi.boolean().valid(true), // zugfinder has no data for the train yet
+    latency: Joi.number().integer().min(0).max(60 * 1000) // Time until zugfinder answers in ms
+}).or('delay', 'cancelled', 'missing', 'latency').oxor('delay', 'cancelled', 'missing')
+
+const simulatorFixturesSchema = Joi.object({
+    scenarios: Joi.array().items(simulationSchema).required()
+})
+
+// Schema for validating the payout configuration (payout.json)
+// Each version maps the probability (0..cutoff) to a payout per product, see pricing.js
+const payoutConfigSchema = Joi.object({
+    versions: Joi.array().min(1).unique('version').items(Joi.object({
+        version: Joi.string().required(), // Name of the matrix version, recorded in every quote
+        effectiveFrom: Joi.date().iso().required(), // Quotes from this date on use this version
+        cutoff: Joi.number().min(0).max(100).required(), // Journeys with a higher probability are rejected
+        pricing: Joi.object({
+            method: Joi.string().valid('interpolate', 'ceil'), // How payouts between two rows are calculated
+            riskLoading: Joi.number().min(0).max(1) // Share by which the payout is reduced (margin)
+        }),
+        products: Joi.object().min(1).pattern(Joi.string().invalid('all'), Joi.object({
+            matrix: Joi.object().min(1).pattern(Joi.string().regex(/^[0-9]+$/), Joi.number().min(0)).required(),
+            minPayout: Joi.number().min(0), // Lower limit of the payout
+            maxPayout: Joi.number().min(0) // Upper limit of the payout
+                .when('minPayout', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minPayout')) })
+        }).unknown()).required()
+    })).required()
+})
+
+// Schema for validating the services configuration (services.json)
+// Categories are the results of the service classification, see classification.js
+const servicesConfigSchema = Joi.object({
+    allow: Joi.array().items(Joi.string().uppercase()).default([]), // Insured categories, empty allows all
+    deny: Joi.object().pattern(Joi.string().uppercase(), Joi.string().required()).default({}) // Category -> reason of the rejection
+})
+
+// Validates a journey: the legs on their own and the journey as a whole
+// Returns all errors as { leg, field, code, message } (empty if the journey is valid),
+// leg and field are null if an error concerns the whole journey, unknown stations have suggestions
+const validateJourney = (journey) => {
+    if (journey === null || typeof journey !== 'object' || Array.isArray(journey))
+        return [journeyError('INVALID_JOURNEY', 'journey has to be an object with the legs leg_1 ... leg_N')]
+
+    const keys = Object.keys(journey)
+    if (keys.length === 0)
+        return [journeyError('EMPTY_JOURNEY', 'journey has no legs')]
+
+    // legs are numbered leg_1 ... leg_N without gaps
+    const expected = keys.map((key, i) => 'leg_' + (i + 1))
+    if (keys.some(key => !expected.includes(key)))
+        return [journeyError('LEG_NUMBERING', 'legs have to be numbered leg_1 ... leg_' + keys.length + ' without gaps, got ' + keys.join(', '))]
+
+    if (keys.length > MAX_LEGS)
+        return [journeyError('TOO_MANY_LEGS', 'journey has ' + keys.length + ' legs, the maximum is ' + MAX_LEGS)]
+
+    // every leg on its own
+    const errors = []
+    expected.forEach(leg => {
+        const { error } = validator(legSchema)(journey[leg])
+        if (error != undefined) {
+            error.details.forEach(detail => errors.push({
+                leg: leg,
+                field: detail.path.length ? String(detail.path[0]) : null,
+                code: 'INVALID_FIELD',
+                message: leg + ': ' + detail.message
+            }))
+        }
+    })
+    if (errors.length != 0) return errors
+
+    // stations have to be known (see stations.js)
+    errors.push(...stations.checkJourney(journey))
+
+    // the journey as a whole, only checked if all legs are complete
+    return errors.concat(validateConnections(expected.map(leg => ({ leg: leg, ...journey[leg] }))))
+}
+
+// Checks the times and stops of the legs
+// Returns all errors as { leg, field, code, message }
+const validateConnections = (legs) => {
+    const errors = []
+    const times = legs.map(leg => ({
+        departure: toDate(leg.start_date, leg.start_time),
+        arrival: toDate(leg.arrival_date, leg.arrival_time)
+    }))
+
+    legs.forEach((leg, i) => {
+        if (times[i].arrival <= times[i].departure)
+            errors.push(legError(leg.leg, 'arrival_time', 'ARRIVAL_BEFORE_DEPARTURE', 'arrival has to be after the departure'))
+
+        if (i === 0) return
+        const previous = legs[i - 1]
+
+        if (!stations.isSameStation(leg.start_stop, previous.arrival_stop))
+            errors.push(legError(leg.leg, 'start_stop', 'STOP_MISMATCH',
+                'start_stop "' + leg.start_stop + '" has to be the arrival_stop of ' + previous.leg + ' ("' + previous.arrival_stop + '")'))
+
+        if (times[i].departure < times[i - 1].arrival)
+            errors.push(legError(leg.leg, 'start_time', 'NEGATIVE_TRANSFER', 'departure has to be after the arrival of ' + previous.leg))
+    })
+
+    const hours = (times[times.length - 1].arrival - times[0].departure) / (60 * 60 * 1000)
+    if (hours > MAX_DURATION_HOURS)
+        errors.push(journeyError('JOURNEY_TOO_LONG', 'journey takes ' + Math.round(hours) + ' hours, the maximum is ' + MAX_DURATION_HOURS))
+
+    return errors
+}
+
+// Validates the shape of a request body (see the request schemas above)
+// The legs of the journey are not checked here but by validateJourney, which reports them in detail
+// Returns all errors as { leg, field, code, message }, a body meant for the other endpoint gets WRONG_ENDPOINT
+const validateBody = (schema, payload, other) => {
+    const shapeErrors = (candidate) => {
+        const { error } = validator(candidate)(payload)
+        return error == undefined ? [] : error.details.filter(detail => detail.path.length <= 1)
+    }
+
+    const errors = shapeErrors(schema.schema)
+    if (errors.length === 0) return []
+
+    if (other && shapeErrors(other.schema).length === 0)
+        return [journeyError('WRONG_ENDPOINT', 'this is the body of ' + other.endpoint + ', see GET /openapi.json')]
+
+    return errors.map(detail => ({
+        leg: null,
+        field: detail.path.length ? String(detail.path[0]) : null,
+        code: 'INVALID_BODY',
+        message: detail.message
+    }))
+}
+
+// Error concerning the whole journey
+const journeyError = (code, message) => ({ leg: null, field: null, code: code, message: message })
+
+// Error concerning one field of a leg
+const legError = (leg, field, code, message) => ({ leg: leg, field: field, code: code, message: leg + ': ' + message })
+
 // Export validator functions for use in API endpoints
 exports.validateLeg = validator(legSchema)
-exports.validateType = validator(typeSchema)
+exports.validateJourney = validateJourney
+exports.validateType = (payload, products) => validator(typeSchema(products))(payload)
+exports.validateBatch = (payload, products) => validator(batchSchema(products))(payload)
+exports.validatePayoutsRequest = (payload, products) => validateBody(
+    { schema: payoutsRequestSchema(products) }, payload, { endpoint: '/delay', schema: delayRequestSchema })
+exports.validateDelayRequest = (payload, products) => validateBody(
+    { schema: delayRequestSchema }, payload, { endpoint: '/payouts', schema: payoutsRequestSchema(products) })
+exports.validateBindPolicy = validator(bindPolicySchema)
+exports.validatePolicyState = validator(policyStateSchema)
+exports.validateScenario = validator(scenarioSchema)
+exports.validateSimulation = validator(simulationSchema)
+exports.validateSimulatorFixtures = validator(simulatorFixturesSchema)
+exports.validatePayoutConfig = validator(payoutConfigSchema)
+exports.validateServicesConfig = validator(servicesConfigSchema)
+
+// Schemas of the request bodies, the OpenAPI document is generated from them (see openapi.js)
+exports.schemas = {
+    leg: legSchema,
+    journey: journeySchema,
+    encodedJourney: encodedJourneySchema,
+    payoutsRequest: payoutsRequestSchema,
+    batchRequest: batchSchema,
+    delayRequest: delayRequestSchema,
+    bindPolicyRequest: bindPolicySchema,
+    policyStateRequest: policyStateSchema,
+    scenarioRequest: scenarioSchema,
+    simulationRequest: simulationSchema
+}
 